@@ -1,22 +1,52 @@
-import { Command, Option } from 'commander'
+import { Command, InvalidArgumentError, Option } from 'commander'
 import process from 'process'
 import { runCreate } from '../commands/create.js'
+import { runDoctor } from '../commands/doctor.js'
+import { STEP_IDS } from '../steps/builtin.js'
+import { BACKENDS, REDIS_PORT } from '../utils/backends.js'
+import { CONFIG_FILE, DATABASES, ENVIRONMENTS, envOf, STARTER_KITS } from '../utils/config.js'
+import { SAIL_SERVICES } from '../utils/sail.js'
+import { CLI_VERSION } from '../utils/version.js'
 
 function isTTY() {
   return !!process.stdout.isTTY
 }
 
+function parseList(value) {
+  return value
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean)
+}
+
+function collect(value, previous) {
+  return [...previous, value]
+}
+
+// Opción que también se lee de CLF_<OPCIÓN> (p. ej. CLF_DB_PASSWORD), por debajo de la bandera
+function configurable(flags, description) {
+  const option = new Option(flags, description)
+  return option.env(envOf(option.attributeName()))
+}
+
+function parseNonNegativeInt(value) {
+  const n = Number(value)
+  if (!Number.isInteger(n) || n < 0) throw new InvalidArgumentError('Debe ser un entero mayor o igual que 0.')
+  return n
+}
+
 export function buildProgram() {
   const program = new Command()
 
   program
     .name('create-laravel-filament')
     .description('Crea y configura un proyecto Laravel + Filament con opciones guiadas o banderas.')
-    .version('1.0.0')
+    .version(CLI_VERSION)
 
   // Flags globales
   program
     .option('--json', 'Salida JSON estructurada')
+    .option('--json-stream', 'Salida NDJSON: una línea JSON por evento (inicio/fin de la ejecución, pasos y comandos)')
     .option('--no-color', 'Desactiva colores')
     .option('--color', 'Intenta forzar colores')
     .option('-y, --yes', 'Asume valores por defecto en prompts')
@@ -36,12 +66,39 @@ Ejemplos:
   $ create-laravel-filament create --non-interactive \\
       --project-name app --starter-kit react --db sqlite -y
 
+  # Sin Herd (Linux, CI): PHP del sistema y el proyecto en el directorio actual
+  $ create-laravel-filament create --env native --non-interactive \\
+      --project-name app --starter-kit react --db sqlite -y
+
+  # Con Laravel Sail (solo Docker): MySQL y Redis en contenedores
+  $ create-laravel-filament create --env sail --db mysql --sail-services redis \\
+      --non-interactive --project-name app --starter-kit react -y
+
   # No interactivo para MySQL
   $ create-laravel-filament create --non-interactive --db mysql \\
       --project-name app --starter-kit vue \\
       --db-host 127.0.0.1 --db-port 3306 --db-name laravel --db-user root --db-password secret \\
       --filament-name Admin --filament-email admin@admin.com --filament-password password
 
+  # Cache, colas y sesiones en Redis, con Horizon para las colas
+  $ create-laravel-filament create --cache redis --queue redis --session redis --horizon
+
+  # Omitir pasos opcionales
+  $ create-laravel-filament create --skip devtools,essentials,i18n
+
+  # Pasos propios desde un plugin
+  $ create-laravel-filament create --plugin ./steps/acme.js
+
+  # Reanudar una instalación fallida desde el último paso completado
+  $ create-laravel-filament create --resume ~/Herd/app
+
+  # Plan de ejecución sin ejecutar nada (útil para revisar o comparar en CI)
+  $ create-laravel-filament create --dry-run --json --non-interactive \\
+      --project-name app --starter-kit react --db sqlite -y
+
+  # Revisar PHP, Composer, Herd, Node, Docker y puertos antes de crear nada
+  $ create-laravel-filament doctor --starter-kit vue --db mysql
+
   # Salida JSON (para CI), sin colores ni prompts
   $ create-laravel-filament create --json --non-interactive \\
       --project-name app --starter-kit livewire --db sqlite
@@ -52,30 +109,143 @@ Ejemplos:
   const create = program.command('create', { isDefault: true }).description('Crea un nuevo proyecto Laravel + Filament')
 
   create
-    .addOption(new Option('--project-name <name>', 'Nombre del proyecto'))
-    .addOption(new Option('--starter-kit <kit>', 'Starter kit').choices(['react', 'vue', 'livewire']))
-    .addOption(new Option('--db <driver>', 'Base de datos').choices(['sqlite', 'supabase', 'mysql', 'postgresql']))
+    .addOption(configurable('--project-name <name>', 'Nombre del proyecto'))
+    .addOption(
+      configurable(
+        '--env <env>',
+        'Entorno: herd (Laravel Herd), native (PHP del sistema) o sail (contenedores de Laravel Sail); por defecto herd',
+      ).choices(ENVIRONMENTS),
+    )
+    .addOption(
+      configurable(
+        '--dir <path>',
+        'Directorio donde se crea el proyecto (por defecto ~/Herd con --env herd y el actual con native y sail)',
+      ),
+    )
+    .addOption(
+      configurable(
+        '--sail-services <services>',
+        `Servicios adicionales de Sail, separados por coma (${SAIL_SERVICES.join(', ')}); la base de datos se añade sola`,
+      ).argParser(parseList),
+    )
+    .addOption(configurable('--starter-kit <kit>', 'Starter kit').choices(STARTER_KITS))
+    .addOption(configurable('--db <driver>', 'Base de datos').choices(DATABASES))
+    .addOption(configurable('--db-host <host>', 'Host de la base de datos'))
+    .addOption(configurable('--db-port <port>', 'Puerto de la base de datos'))
+    .addOption(configurable('--db-name <name>', 'Nombre de la base de datos'))
+    .addOption(configurable('--db-user <user>', 'Usuario de la base de datos'))
+    .addOption(configurable('--db-password <password>', 'Contraseña de la base de datos'))
+    .addOption(configurable('--db-password-file <path>', 'Archivo con la contraseña de la base de datos'))
+    .addOption(
+      configurable(
+        '--db-compose',
+        'Genera un docker-compose.yml con MySQL/PostgreSQL en el proyecto y lo levanta antes de las migraciones',
+      ),
+    )
+    .addOption(
+      configurable(
+        '--db-create',
+        'Crea la base de datos si no existe en el servidor (sin esta opción, en modo no interactivo falla con EDB)',
+      ),
+    )
+    .addOption(
+      configurable('--cache <store>', 'Backend de cache (CACHE_STORE); por defecto el de Laravel').choices(
+        BACKENDS.cache.choices,
+      ),
+    )
+    .addOption(
+      configurable(
+        '--queue <connection>',
+        'Backend de colas (QUEUE_CONNECTION; sync en lugar de archivos); por defecto el de Laravel',
+      ).choices(BACKENDS.queue.choices),
+    )
+    .addOption(
+      configurable('--session <driver>', 'Backend de sesiones (SESSION_DRIVER); por defecto el de Laravel').choices(
+        BACKENDS.session.choices,
+      ),
+    )
+    .addOption(configurable('--redis-host <host>', 'Host de Redis para los backends redis (por defecto 127.0.0.1)'))
+    .addOption(configurable('--redis-port <port>', `Puerto de Redis (por defecto ${REDIS_PORT})`))
+    .addOption(configurable('--horizon', 'Instala Laravel Horizon para las colas de Redis (requiere --queue redis)'))
+    .addOption(configurable('--herd-dir <path>', 'Alias obsoleto de --dir'))
+    .addOption(configurable('--filament-name <name>', 'Nombre de usuario de Filament'))
+    .addOption(configurable('--filament-email <email>', 'Correo de Filament'))
+    .addOption(configurable('--filament-password <password>', 'Contraseña de Filament'))
+    .addOption(configurable('--filament-password-file <path>', 'Archivo con la contraseña de Filament'))
+    .option('--resume <path>', 'Reanuda una instalación fallida desde su checkpoint (ruta del proyecto)')
+    .addOption(
+      configurable('--skip <steps>', `Omite pasos, separados por coma (${STEP_IDS.join(', ')})`).argParser(parseList),
+    )
+    .addOption(
+      configurable(
+        '--only <steps>',
+        'Ejecuta solo los pasos indicados, separados por coma (más prechecks y scaffold, que son obligatorios)',
+      ).argParser(parseList),
+    )
+    .option('--plugin <module>', 'Carga pasos adicionales desde un módulo (ruta o paquete); repetible', collect, [])
+    .addOption(
+      configurable(
+        '--rollback-on-failure',
+        'Si un paso falla, elimina el proyecto, detiene Supabase y borra la base de datos creada',
+      ),
+    )
+    .addOption(
+      configurable('--retries <n>', 'Reintentos de los comandos de red (composer, npm, laravel new, supabase start)')
+        .argParser(parseNonNegativeInt)
+        .default(2),
+    )
+    .addOption(
+      configurable('--retry-delay <ms>', 'Espera antes del primer reintento; se duplica en cada uno')
+        .argParser(parseNonNegativeInt)
+        .default(2000),
+    )
+    .addOption(
+      configurable(
+        '--step-timeout <s>',
+        'Segundos máximos de cada paso, compartidos por todos sus comandos, antes de abortarlo (0 = sin límite; por defecto 900, 1800 en scaffold/database)',
+      ).argParser(parseNonNegativeInt),
+    )
+    .addOption(
+      configurable('--sequential', 'Ejecuta los pasos uno a uno (por defecto los independientes corren en paralelo)'),
+    )
+    .option('--dry-run', 'Muestra los comandos y archivos que se ejecutarían/escribirían, sin ejecutarlos')
+    .addOption(
+      configurable(
+        '--config <file>',
+        `Archivo de configuración (por defecto ${CONFIG_FILE} en el directorio actual o en el home)`,
+      ),
+    )
+    .addOption(configurable('--preset <name>', 'Aplica un preset del archivo de configuración (clave presets)'))
+
+  create.action(async opts => {
+    const globals = program.opts()
+    const ctx = {
+      ...globals,
+      ...opts,
+      optionSources: Object.fromEntries(
+        create.options.map(option => [option.attributeName(), create.getOptionValueSource(option.attributeName())]),
+      ),
+      runtime: {
+        tty: isTTY(),
+        node: process.version,
+        platform: process.platform,
+      },
+    }
+    await runCreate(ctx)
+  })
+
+  program
+    .command('doctor')
+    .description(
+      'Revisa las herramientas y puertos necesarios (las mismas comprobaciones que el primer paso de create)',
+    )
+    .addOption(new Option('--env <env>', 'Entorno').choices(ENVIRONMENTS).default('herd'))
+    .addOption(new Option('--starter-kit <kit>', 'Starter kit').choices(STARTER_KITS).default('react'))
+    .addOption(new Option('--db <driver>', 'Base de datos').choices(DATABASES))
     .option('--db-host <host>', 'Host de la base de datos')
     .option('--db-port <port>', 'Puerto de la base de datos')
-    .option('--db-name <name>', 'Nombre de la base de datos')
-    .option('--db-user <user>', 'Usuario de la base de datos')
-    .option('--db-password <password>', 'Contraseña de la base de datos')
-    .option('--herd-dir <path>', 'Directorio de trabajo de Herd')
-    .option('--filament-name <name>', 'Nombre de usuario de Filament')
-    .option('--filament-email <email>', 'Correo de Filament')
-    .option('--filament-password <password>', 'Contraseña de Filament')
     .action(async opts => {
-      const globals = program.opts()
-      const ctx = {
-        ...globals,
-        ...opts,
-        env: {
-          tty: isTTY(),
-          node: process.version,
-          platform: process.platform,
-        },
-      }
-      await runCreate(ctx)
+      await runDoctor({ ...program.opts(), ...opts, runtime: { tty: isTTY() } })
     })
 
   return program
@@ -1,13 +1,54 @@
 import * as p from '@clack/prompts'
 import chalk from 'chalk'
-import commandExists from 'command-exists'
-import { execa } from 'execa'
 import { promises as fs } from 'fs'
 import { Listr } from 'listr2'
-import net from 'net'
-import os from 'os'
 import path from 'path'
 import process from 'process'
+import { setTimeout as sleep } from 'timers/promises'
+import { BUILTIN_STEPS } from '../steps/builtin.js'
+import { BACKENDS, REDIS_PORT, usesRedis } from '../utils/backends.js'
+import {
+  loadPlugins,
+  orderSteps,
+  prerequisitesOf,
+  resolvePluginSpec,
+  runStep,
+  selectSteps,
+  stepTimeoutMs,
+  validateStep,
+} from '../steps/registry.js'
+import { checkpointPathOf, readCheckpoint, removeCheckpoint, writeCheckpoint } from '../utils/checkpoint.js'
+import { asStepError, cliError, ERROR_CODES, exitCodeOf } from '../utils/errors.js'
+import { executorFromEnv } from '../utils/executor.js'
+import { createLocks, deferred, resourcesOf } from '../utils/locks.js'
+import { cacheLogDir, createRunLog, projectLogDir } from '../utils/log.js'
+import { createRollback } from '../utils/rollback.js'
+import {
+  checkExclusiveOptions,
+  configOptionsOf,
+  envOf,
+  flagOf,
+  loadConfig,
+  mergeOptions,
+  PASSWORD_FILE_OPTIONS,
+  resolvePasswordFiles,
+  savePreset,
+  stepTimeoutsOf,
+} from '../utils/config.js'
+import { isLocalHost } from '../utils/compose.js'
+import { defaultProjectsDirectory, getProjectsDirectory, updateEnvValues } from '../utils/project.js'
+import {
+  runsInSail,
+  SAIL_SERVICES,
+  SAIL_UP,
+  sailConnectionOf,
+  sailServicesOf,
+  supportsSail,
+  viaSail,
+} from '../utils/sail.js'
+import { formatCommand, formatDuration } from '../utils/run.js'
+import { CLI_VERSION, SCHEMA_VERSION } from '../utils/version.js'
+import { DB_SERVERS, isServerDatabase } from '../utils/services.js'
 
 /**
  * Helpers
@@ -25,268 +66,21 @@ function colorsEnabled(ctx) {
   return true
 }
 
-function truncate(str = '', max = 8192) {
-  if (!str) return ''
-  return str.length > max ? str.slice(0, max) + `\\n... [truncated ${str.length - max} chars]` : str
-}
-
-async function ensureDir(dir) {
-  await fs.mkdir(dir, { recursive: true })
-  return dir
-}
-
-async function getHerdDirectory(preferred) {
-  const herdDir = preferred || path.join(os.homedir(), 'Herd')
-  try {
-    await fs.access(herdDir)
-  } catch {
-    await fs.mkdir(herdDir, { recursive: true })
-  }
-  return herdDir
-}
-
-async function isPortOpen(host, port, timeout = 1200) {
-  return await new Promise(resolve => {
-    const socket = new net.Socket()
-    const done = result => {
-      try {
-        socket.destroy()
-      } catch {}
-      resolve(result)
-    }
-    socket.setTimeout(timeout)
-    socket.once('connect', () => done(true))
-    socket.once('timeout', () => done(false))
-    socket.once('error', () => done(false))
-    try {
-      socket.connect(Number(port), host)
-    } catch {
-      done(false)
-    }
-  })
-}
-
-async function detectMysqlService(host, port) {
-  const h = host || '127.0.0.1'
-  const p = Number(port) || 3306
-  return isPortOpen(h, p, 1200)
-}
-
-async function detectPostgresService(host, port) {
-  const h = host || '127.0.0.1'
-  const p = Number(port) || 5432
-  return isPortOpen(h, p, 1200)
-}
-
-async function updateEnvValues(projectPath, updates) {
-  const envPath = path.join(projectPath, '.env')
-  let content = ''
-  try {
-    content = await fs.readFile(envPath, 'utf8')
-  } catch {
-    // .env no existe (a veces tras laravel new aún no está copiado). Creamos uno nuevo.
-    content = ''
+// Evento del pipeline tal como aparece en el arreglo `tasks` de la salida JSON (y en --json-stream)
+function taskEntry(e, index) {
+  return {
+    index,
+    name: e.name,
+    status: e.status,
+    attempt: e.attempt ?? null,
+    durationMs: e.durationMs ?? null,
+    stdout: e.stdout ?? null,
+    stderr: e.stderr ?? null,
   }
-  let lines = content.split('\n')
-  const keysFound = new Set()
-  lines = lines.map(line => {
-    const trimmedLine = line.trim()
-    if (trimmedLine.startsWith('#') || !trimmedLine.includes('=')) return line
-    const key = trimmedLine.split('=')[0]
-    if (Object.prototype.hasOwnProperty.call(updates, key)) {
-      keysFound.add(key)
-      return `${key}=${updates[key]}`
-    }
-    return line
-  })
-  for (const [key, value] of Object.entries(updates)) {
-    if (!keysFound.has(key)) lines.push(`${key}=${value}`)
-  }
-  await fs.writeFile(envPath, lines.join('\n'))
 }
 
-async function maybeCreateSqliteDatabase(projectPath) {
-  const dbFile = path.join(projectPath, 'database', 'database.sqlite')
-  await fs.mkdir(path.dirname(dbFile), { recursive: true })
-  await fs.writeFile(dbFile, '')
-}
-
-async function setAppLocaleEs(projectPath) {
-  await updateEnvValues(projectPath, { APP_LOCALE: 'es' })
-}
-
-async function ensurePhpunitAppLocaleEn(projectPath) {
-  const candidates = [path.join(projectPath, 'phpunit.xml'), path.join(projectPath, 'phpunit.xml.dist')]
-  let phpunitPath = null
-  for (const pth of candidates) {
-    try {
-      await fs.access(pth)
-      phpunitPath = pth
-      break
-    } catch {}
-  }
-  if (!phpunitPath) return
-  let xmlData = await fs.readFile(phpunitPath, 'utf-8')
-  xmlData = xmlData.replace(/<phpunit([^>]*)>/i, (match, attrs) => {
-    if (!attrs.includes('colors=')) return `<phpunit${attrs} colors="true">`
-    return match.replace(/colors\\s*=\\s*["']?[^"']*["']?/i, 'colors="true"')
-  })
-  if (xmlData.includes('name="APP_LOCALE"')) {
-    xmlData = xmlData.replace(/<env\\s+name="APP_LOCALE"\\s+value="[^"]*"/i, 'env name="APP_LOCALE" value="en"')
-  } else {
-    xmlData = xmlData.replace(/<php>/i, '<php><env name="APP_LOCALE" value="en"/>')
-  }
-  await fs.writeFile(phpunitPath, xmlData)
-}
-
-async function createPhpstanFile(projectPath) {
-  const content = `includes:
-    - vendor/larastan/larastan/extension.neon
-parameters:
-    paths:
-        - app/
-    level: 5`
-  await fs.writeFile(path.join(projectPath, 'phpstan.neon'), content)
-}
-
-async function createPintFile(projectPath) {
-  const content = `{
-  "preset": "laravel"
-}`
-  await fs.writeFile(path.join(projectPath, 'pint.json'), content)
-}
-
-async function createRectorFile(projectPath) {
-  const content = `<?php
-
-declare(strict_types=1);
-
-use Rector\\Config\\RectorConfig;
-use Rector\\Php83\\Rector\\ClassMethod\\AddOverrideAttributeToOverriddenMethodsRector;
-
-return RectorConfig::configure()
-    ->withPhpSets()
-    ->withSkip([
-        AddOverrideAttributeToOverriddenMethodsRector::class,
-    ])
-    ->withPaths([
-        __DIR__.'/app',
-    ])
-    ->withPreparedSets(
-        deadCode: true,
-        codeQuality: true,
-    );`
-  await fs.writeFile(path.join(projectPath, 'rector.php'), content)
-}
-
-/**
- * Detecta si existen migraciones con columnas two_factor_* en el proyecto.
- */
-async function detectTwoFactorColumnsInMigrations(projectPath) {
-  const migrationsDir = path.join(projectPath, 'database', 'migrations')
-  try {
-    const entries = await fs.readdir(migrationsDir, { withFileTypes: true })
-    for (const entry of entries) {
-      if (!entry.isFile()) continue
-      if (!entry.name.endsWith('.php')) continue
-      const full = path.join(migrationsDir, entry.name)
-      const data = await fs.readFile(full, 'utf8')
-      if (
-        data.includes('two_factor_secret') ||
-        data.includes('two_factor_recovery_codes') ||
-        data.includes('two_factor_confirmed_at') ||
-        data.includes('two_factor_')
-      ) {
-        return true
-      }
-    }
-  } catch {}
-  return false
-}
-
-/**
- * Parchea database/factories/UserFactory.php agregando valores por defecto (null)
- * para columnas 2FA si aún no existen.
- */
-async function patchUserFactoryTwoFactorDefaults(projectPath) {
-  const factoryPath = path.join(projectPath, 'database', 'factories', 'UserFactory.php')
-  let content
-  try {
-    content = await fs.readFile(factoryPath, 'utf8')
-  } catch {
-    return { patched: false, reason: 'factory_not_found' }
-  }
-
-  if (
-    content.includes('two_factor_secret') ||
-    content.includes('two_factor_recovery_codes') ||
-    content.includes('two_factor_confirmed_at')
-  ) {
-    return { patched: false, reason: 'already_present' }
-  }
-
-  // Buscar el bloque: línea con "return [" y su cierre "];" más cercano
-  const startRe = /^[ \t]*return\s*\[/m
-  const startMatch = startRe.exec(content)
-  if (!startMatch) {
-    return { patched: false, reason: 'array_not_found' }
-  }
-
-  const startIdx = startMatch.index
-  const indent = (startMatch[0].match(/^[ \t]*/) || [''])[0]
-
-  const afterStart = content.slice(startIdx)
-  const endRe = /^[ \t]*\];/m
-  const endMatch = endRe.exec(afterStart)
-  if (!endMatch) {
-    return { patched: false, reason: 'array_end_not_found' }
-  }
-
-  const arrStart = startIdx + startMatch[0].length
-  const arrEnd = startIdx + endMatch.index
-  let arr = content.slice(arrStart, arrEnd)
-
-  // Asegurar coma final antes de inyectar nuevas líneas
-  if (!arr.trimEnd().endsWith(',')) {
-    arr = arr.replace(/\s*$/, ',\n')
-  }
-
-  const injectionIndent = indent + '    '
-  const injection =
-    `${injectionIndent}'two_factor_secret' => null,\n` +
-    `${injectionIndent}'two_factor_recovery_codes' => null,\n` +
-    `${injectionIndent}'two_factor_confirmed_at' => null,\n`
-
-  const newContent = content.slice(0, arrStart) + arr + injection + content.slice(arrEnd)
-
-  if (newContent === content) {
-    return { patched: false, reason: 'replace_noop' }
-  }
-
-  await fs.writeFile(factoryPath, newContent)
-  return { patched: true }
-}
-
-async function run(cmd, opts = {}) {
-  const { cwd, env } = opts
-  const startedAt = Date.now()
-  try {
-    const { stdout, stderr } = await execa(cmd, { shell: true, cwd, env })
-    return {
-      status: 'success',
-      durationMs: Date.now() - startedAt,
-      stdout: truncate(stdout),
-      stderr: truncate(stderr),
-    }
-  } catch (error) {
-    return {
-      status: 'error',
-      durationMs: Date.now() - startedAt,
-      stdout: truncate(error.stdout),
-      stderr: truncate(error.stderr || error.message),
-      error,
-    }
-  }
+function tasksOf(events) {
+  return events.map(taskEntry)
 }
 
 function dbLabelOf(db) {
@@ -297,8 +91,12 @@ function dbLabelOf(db) {
       return 'Supabase (PostgreSQL)'
     case 'mysql':
       return 'MySQL'
+    case 'mariadb':
+      return 'MariaDB'
     case 'postgresql':
       return 'PostgreSQL'
+    case 'sqlsrv':
+      return 'SQL Server'
     default:
       return db
   }
@@ -323,21 +121,37 @@ async function showFinalMenu(projectPath, colorOn) {
 /**
  * Abre VS Code en el directorio especificado
  */
-async function openVSCode(projectPath) {
-  const { execa } = await import('execa')
+async function openVSCode(projectPath, executor) {
+  const r = await executor.run(['code', projectPath])
+  return r.status === 'success' ? { success: true } : { success: false, error: r.stderr || r.error?.message }
+}
 
-  try {
-    await execa('code', [projectPath], { shell: true })
-    return { success: true }
-  } catch (error) {
-    return { success: false, error: error.message }
-  }
+// Cancelar cualquier prompt (Ctrl+C o Esc) termina con el código de salida de ECANCELLED
+function exitCancelled() {
+  p.cancel('Cancelado por el usuario')
+  process.exit(exitCodeOf('ECANCELLED'))
 }
 
+// URL del proyecto: Herd sirve cada carpeta como <carpeta>.test; Sail publica el puerto 80 y
+// php artisan serve usa el 8000
+function appUrlOf(env, projectPath) {
+  if (!projectPath) return null
+  if (env === 'herd') return `http://${path.basename(projectPath).toLowerCase()}.test`
+  return env === 'sail' ? 'http://localhost' : 'http://127.0.0.1:8000'
+}
+
+// Conexión a Redis de los backends redis: con Sail, el servicio redis del contenedor
+function redisConnOf(env, { redisHost, redisPort } = {}) {
+  if (env === 'sail') return { host: 'redis', port: REDIS_PORT }
+  return { host: redisHost || '127.0.0.1', port: redisPort || REDIS_PORT }
+}
+
+const BACKEND_LABELS = { redis: 'Redis', database: 'Base de datos', file: 'Archivos', sync: 'Síncrona (sin cola)' }
+
 /**
  * Prompts con Clack (interactivo)
  */
-async function interactiveGather(input, globalFlags) {
+async function interactiveGather(input, globalFlags, pipeline) {
   p.intro('Asistente de Instalación de Proyectos Laravel + Filament')
 
   const projectName =
@@ -347,10 +161,20 @@ async function interactiveGather(input, globalFlags) {
       placeholder: 'mi-proyecto',
       validate: v => (v && v.trim().length ? undefined : 'El nombre no puede estar vacío'),
     }))
-  if (p.isCancel(projectName)) {
-    p.cancel('Cancelado por el usuario')
-    process.exit(0)
-  }
+  if (p.isCancel(projectName)) exitCancelled()
+
+  const env =
+    input.env ||
+    (await p.select({
+      message: 'Selecciona el entorno',
+      options: [
+        { value: 'herd', label: 'Laravel Herd', hint: 'sirve el proyecto en <nombre>.test' },
+        { value: 'native', label: 'PHP nativo', hint: 'php artisan serve' },
+        { value: 'sail', label: 'Laravel Sail (Docker)', hint: 'sin PHP ni Node en el equipo' },
+      ],
+      initialValue: 'herd',
+    }))
+  if (p.isCancel(env)) exitCancelled()
 
   const starterKit =
     input.starterKit ||
@@ -363,10 +187,7 @@ async function interactiveGather(input, globalFlags) {
       ],
       initialValue: 'react',
     }))
-  if (p.isCancel(starterKit)) {
-    p.cancel('Cancelado por el usuario')
-    process.exit(0)
-  }
+  if (p.isCancel(starterKit)) exitCancelled()
 
   const db =
     input.db ||
@@ -376,14 +197,13 @@ async function interactiveGather(input, globalFlags) {
         { value: 'sqlite', label: 'SQLite' },
         { value: 'supabase', label: 'Supabase (PostgreSQL)' },
         { value: 'mysql', label: 'MySQL' },
+        { value: 'mariadb', label: 'MariaDB' },
         { value: 'postgresql', label: 'PostgreSQL' },
-      ],
+        { value: 'sqlsrv', label: 'SQL Server' },
+      ].filter(option => env !== 'sail' || supportsSail(option.value)),
       initialValue: 'sqlite',
     }))
-  if (p.isCancel(db)) {
-    p.cancel('Cancelado por el usuario')
-    process.exit(0)
-  }
+  if (p.isCancel(db)) exitCancelled()
 
   let dbConn = {
     host: input.dbHost,
@@ -392,18 +212,27 @@ async function interactiveGather(input, globalFlags) {
     user: input.dbUser,
     password: input.dbPassword,
   }
-  if (db === 'mysql' || db === 'postgresql') {
+  // Con Sail la base de datos es un contenedor más: sus credenciales son las de Sail
+  let sailServices = input.sailServices || []
+  if (env === 'sail') {
+    if (!input.sailServices && !globalFlags.yes) {
+      sailServices = await p.multiselect({
+        message: 'Servicios adicionales de Sail',
+        options: SAIL_SERVICES.map(service => ({ value: service, label: service })),
+        required: false,
+      })
+      if (p.isCancel(sailServices)) exitCancelled()
+    }
+    dbConn = sailConnectionOf(db, dbConn) || dbConn
+  } else if (isServerDatabase(db)) {
+    const server = DB_SERVERS[db]
     // Advertencia previa: detección rápida del servicio en host/puerto por defecto
     const defaultHost = '127.0.0.1'
-    const defaultPort = db === 'mysql' ? '3306' : '5432'
-    const detected =
-      db === 'mysql'
-        ? await detectMysqlService(defaultHost, defaultPort)
-        : await detectPostgresService(defaultHost, defaultPort)
+    const detected = await globalFlags.executor.portOpen(defaultHost, server.port)
     if (!detected) {
       p.note(
         chalk.yellow(
-          `No se detectó un servicio ${db.toUpperCase()} escuchando en ${defaultHost}:${defaultPort}.
+          `No se detectó un servicio ${server.label} escuchando en ${defaultHost}:${server.port}.
 Si tu servicio está en otra máquina o puerto, podrás indicarlo en los siguientes campos.
 Asegúrate de tener la base de datos en ejecución antes de continuar para evitar fallos en las migraciones.`,
         ),
@@ -413,55 +242,122 @@ Asegúrate de tener la base de datos en ejecución antes de continuar para evita
 
     dbConn.host =
       dbConn.host ||
-      (await p.text({ message: `${db.toUpperCase()} host`, placeholder: '127.0.0.1', initialValue: '127.0.0.1' }))
-    if (p.isCancel(dbConn.host)) process.exit(0)
+      (await p.text({ message: `${server.label} host`, placeholder: '127.0.0.1', initialValue: '127.0.0.1' }))
+    if (p.isCancel(dbConn.host)) exitCancelled()
     dbConn.port =
       dbConn.port ||
-      (await p.text({
-        message: `${db.toUpperCase()} port`,
-        placeholder: db === 'mysql' ? '3306' : '5432',
-        initialValue: db === 'mysql' ? '3306' : '5432',
-      }))
-    if (p.isCancel(dbConn.port)) process.exit(0)
+      (await p.text({ message: `${server.label} port`, placeholder: server.port, initialValue: server.port }))
+    if (p.isCancel(dbConn.port)) exitCancelled()
     dbConn.name =
       dbConn.name ||
-      (await p.text({ message: `${db.toUpperCase()} database`, placeholder: 'laravel', initialValue: 'laravel' }))
-    if (p.isCancel(dbConn.name)) process.exit(0)
+      (await p.text({ message: `${server.label} database`, placeholder: 'laravel', initialValue: 'laravel' }))
+    if (p.isCancel(dbConn.name)) exitCancelled()
     dbConn.user =
       dbConn.user ||
-      (await p.text({
-        message: `${db.toUpperCase()} username`,
-        placeholder: db === 'mysql' ? 'root' : 'postgres',
-        initialValue: db === 'mysql' ? 'root' : 'postgres',
-      }))
-    if (p.isCancel(dbConn.user)) process.exit(0)
-    dbConn.password = dbConn.password || (await p.password({ message: `${db.toUpperCase()} password` }))
-    if (p.isCancel(dbConn.password)) process.exit(0)
+      (await p.text({ message: `${server.label} username`, placeholder: server.user, initialValue: server.user }))
+    if (p.isCancel(dbConn.user)) exitCancelled()
+    dbConn.password = dbConn.password || (await p.password({ message: `${server.label} password` }))
+    if (p.isCancel(dbConn.password)) exitCancelled()
   }
-  // Advertencia si no hay servicio MySQL/PostgreSQL activo (validando con los datos ingresados)
-  if (db === 'mysql' || db === 'postgresql') {
-    const listening =
-      db === 'mysql'
-        ? await detectMysqlService(dbConn.host, dbConn.port)
-        : await detectPostgresService(dbConn.host, dbConn.port)
-    if (!listening) {
+  // Conexión real con los datos ingresados (utils/dbcheck.js). Sin servidor en este equipo se
+  // ofrece levantarlo con Docker (docker-compose.yml en el proyecto); si la base de datos no
+  // existe, crearla en el paso database (--db-create lo permite sin preguntar)
+  let dbCompose = Boolean(input.dbCompose)
+  let dbCreate = Boolean(input.dbCreate)
+  if (env !== 'sail' && !dbCompose && isServerDatabase(db)) {
+    const { label } = DB_SERVERS[db]
+    const check = await globalFlags.executor.database('check', db, dbConn)
+    const listening = check.status !== 'unreachable' && check.status !== 'timeout'
+    if (!listening && isLocalHost(dbConn.host)) {
+      p.note(chalk.red(check.message), chalk.red('Nota'))
+      dbCompose =
+        globalFlags.yes ||
+        (await p.confirm({
+          message: `¿Generar un docker-compose.yml con ${label} en el proyecto y levantarlo antes de las migraciones? (requiere Docker)`,
+          initialValue: true,
+        }))
+      if (p.isCancel(dbCompose)) exitCancelled()
+    } else if (check.status === 'unknown_database') {
+      dbCreate =
+        dbCreate ||
+        globalFlags.yes ||
+        (await p.confirm({
+          message: `La base de datos ${dbConn.name} no existe en ${dbConn.host}:${dbConn.port}. ¿Crearla?`,
+          initialValue: true,
+        }))
+      if (p.isCancel(dbCreate)) exitCancelled()
+    } else if (check.status === 'error') {
+      // comprobación no concluyente (p. ej. SQL Server): la conexión la comprueba migrate
+      p.note(chalk.yellow(check.message), chalk.yellow('Nota'))
+    } else if (check.status !== 'ok') {
       p.note(
-        chalk.red(
-          `No se detectó un servicio ${db.toUpperCase()} escuchando en ${dbConn.host}:${dbConn.port}.
-Asegúrate de iniciarlo antes de continuar o las migraciones pueden fallar.`,
-        ),
+        chalk.red(`${check.message}
+Corrige la conexión antes de continuar o las migraciones fallarán.`),
         chalk.red('Nota'),
       )
     }
   }
 
-  const useDefaults =
-    globalFlags.yes ||
+  // Cache, colas y sesiones: sin banderas se ofrece elegirlos (si no, quedan los de Laravel)
+  const backends = { cache: input.cache, queue: input.queue, session: input.session }
+  const chooseBackends =
+    !globalFlags.yes &&
+    !Object.values(backends).some(Boolean) &&
     (await p.confirm({
-      message: '¿Usar credenciales por defecto de Filament? (Admin / admin@admin.com / password)',
-      initialValue: true,
+      message: '¿Configurar cache, colas y sesiones? (Redis, base de datos o archivos)',
+      initialValue: false,
     }))
-  if (p.isCancel(useDefaults)) process.exit(0)
+  if (p.isCancel(chooseBackends)) exitCancelled()
+  if (chooseBackends) {
+    for (const [key, backend] of Object.entries(BACKENDS)) {
+      const choice = await p.select({
+        message: backend.label,
+        options: backend.choices.map(value => ({ value, label: BACKEND_LABELS[value] })),
+        initialValue: 'database',
+      })
+      if (p.isCancel(choice)) exitCancelled()
+      backends[key] = choice
+    }
+  }
+  let redis = null
+  if (usesRedis(backends)) {
+    redis = redisConnOf(env, input)
+    if (env !== 'sail' && !globalFlags.yes) {
+      redis.host =
+        input.redisHost || (await p.text({ message: 'Redis host', placeholder: redis.host, initialValue: redis.host }))
+      if (p.isCancel(redis.host)) exitCancelled()
+      redis.port =
+        input.redisPort || (await p.text({ message: 'Redis port', placeholder: redis.port, initialValue: redis.port }))
+      if (p.isCancel(redis.port)) exitCancelled()
+    }
+    // mismo aviso que con la base de datos (con Sail, Redis es un contenedor más)
+    if (env !== 'sail') {
+      const check = await globalFlags.executor.database('check', 'redis', redis)
+      if (check.status !== 'ok') {
+        p.note(
+          chalk.red(`${check.message}
+Inicia Redis antes de continuar o la instalación fallará.`),
+          chalk.red('Nota'),
+        )
+      }
+    }
+  }
+  let horizon = Boolean(input.horizon)
+  if (backends.queue === 'redis' && input.horizon === undefined && !globalFlags.yes) {
+    horizon = await p.confirm({ message: '¿Instalar Laravel Horizon para las colas de Redis?', initialValue: true })
+    if (p.isCancel(horizon)) exitCancelled()
+  }
+
+  // Con datos de Filament en banderas o configuración no se ofrecen los de por defecto
+  const hasFilamentInput = Boolean(input.filamentName || input.filamentEmail || input.filamentPassword)
+  const useDefaults =
+    !hasFilamentInput &&
+    (globalFlags.yes ||
+      (await p.confirm({
+        message: '¿Usar credenciales por defecto de Filament? (Admin / admin@admin.com / password)',
+        initialValue: true,
+      })))
+  if (p.isCancel(useDefaults)) exitCancelled()
 
   let filament = {
     name: input.filamentName,
@@ -478,63 +374,180 @@ Asegúrate de iniciarlo antes de continuar o las migraciones pueden fallar.`,
     filament.name =
       filament.name ||
       (await p.text({ message: 'Nombre de usuario Filament', validate: v => (v ? undefined : 'Requerido') }))
-    if (p.isCancel(filament.name)) process.exit(0)
+    if (p.isCancel(filament.name)) exitCancelled()
     filament.email =
       filament.email ||
       (await p.text({
         message: 'Correo Filament',
         validate: v => (v && v.includes('@') ? undefined : 'Correo inválido'),
       }))
-    if (p.isCancel(filament.email)) process.exit(0)
+    if (p.isCancel(filament.email)) exitCancelled()
     filament.password =
       filament.password ||
       (await p.password({
         message: 'Contraseña Filament',
         validate: v => (v && v.length >= 8 ? undefined : 'Mínimo 8 caracteres'),
       }))
-    if (p.isCancel(filament.password)) process.exit(0)
+    if (p.isCancel(filament.password)) exitCancelled()
+  }
+
+  let steps = input.steps
+  if (!steps) {
+    const optionalSteps = pipeline.filter(step => !step.required)
+    const picked = globalFlags.yes
+      ? optionalSteps.map(step => step.id)
+      : await p.multiselect({
+          message: 'Pasos a ejecutar (espacio para marcar/desmarcar)',
+          options: optionalSteps.map(step => ({ value: step.id, label: step.title, hint: step.id })),
+          initialValues: optionalSteps.map(step => step.id),
+          required: false,
+        })
+    if (p.isCancel(picked)) exitCancelled()
+    steps = pipeline.filter(step => step.required || picked.includes(step.id)).map(step => step.id)
   }
+  const omittedSteps = pipeline.filter(step => !steps.includes(step.id)).map(step => step.id)
 
-  const herdDir = input.herdDir || (await getHerdDirectory())
+  // En dry-run no se crea nada en disco, ni siquiera la carpeta de proyectos
+  const dir = input.dir || (globalFlags.dryRun ? defaultProjectsDirectory(env) : await getProjectsDirectory(env))
 
   p.note(
     `Proyecto: ${projectName}
+Entorno: ${env}${env === 'sail' ? ` (servicios: ${sailServicesOf(db, sailServices).join(', ') || 'ninguno'})` : ''}
+Directorio: ${dir}
 Starter kit: ${starterKit}
-Base de datos: ${db}
-Herd dir: ${herdDir}
-Filament: ${useDefaults ? 'por defecto' : 'custom'}`,
+Base de datos: ${db}${dbCompose ? ' (docker-compose.yml)' : dbCreate ? ` (se creará ${dbConn.name})` : ''}
+Cache / colas / sesiones: ${Object.values(backends)
+      .map(value => value || 'por defecto')
+      .join(' / ')}${horizon ? ' (Horizon)' : ''}
+Filament: ${useDefaults ? 'por defecto' : 'custom'}
+Pasos omitidos: ${omittedSteps.length > 0 ? omittedSteps.join(', ') : 'ninguno'}`,
     'Resumen',
   )
 
   const proceed = await p.confirm({ message: '¿Deseas continuar con estos parámetros?', initialValue: true })
-  if (p.isCancel(proceed) || !proceed) {
-    p.cancel('Cancelado por el usuario')
-    process.exit(0)
+  if (p.isCancel(proceed) || !proceed) exitCancelled()
+
+  // Preset con estas respuestas (sin nombre del proyecto ni contraseñas) para usar con --preset
+  const savePresetAnswer = globalFlags.yes
+    ? false
+    : await p.confirm({
+        message: '¿Guardar estas respuestas como preset para próximos proyectos?',
+        initialValue: false,
+      })
+  if (p.isCancel(savePresetAnswer)) exitCancelled()
+  if (savePresetAnswer) {
+    const presetName = await p.text({
+      message: 'Nombre del preset',
+      placeholder: 'equipo',
+      validate: v => (/^[\w-]+$/.test(v || '') ? undefined : 'Solo letras, números, guiones y guiones bajos'),
+    })
+    if (p.isCancel(presetName)) exitCancelled()
+    try {
+      const file = await savePreset(
+        presetName,
+        {
+          env,
+          dir: input.dir,
+          sailServices: env === 'sail' ? sailServices : undefined,
+          starterKit,
+          db,
+          dbHost: dbConn.host,
+          dbPort: dbConn.port,
+          dbName: dbConn.name,
+          dbUser: dbConn.user,
+          dbCompose: dbCompose || undefined,
+          ...backends,
+          redisHost: env !== 'sail' ? redis?.host : undefined,
+          redisPort: env !== 'sail' ? redis?.port : undefined,
+          horizon: horizon || undefined,
+          filamentName: useDefaults ? undefined : filament.name,
+          filamentEmail: useDefaults ? undefined : filament.email,
+          skip: omittedSteps,
+        },
+        { file: globalFlags.configFile },
+      )
+      p.log.success(`Preset "${presetName}" guardado en ${file}. Úsalo con --preset ${presetName}`)
+    } catch (err) {
+      p.log.warn(`No se pudo guardar el preset: ${err.message}`)
+    }
   }
 
   p.outro('Iniciando instalación...')
 
-  return { projectName, starterKit, db, dbConn, filament, herdDir }
+  return {
+    projectName,
+    env,
+    dir,
+    sailServices,
+    starterKit,
+    db,
+    dbConn,
+    dbCompose,
+    dbCreate,
+    cache: backends.cache || null,
+    queue: backends.queue || null,
+    session: backends.session || null,
+    redis,
+    horizon,
+    filament,
+    steps,
+  }
+}
+
+// Contraseñas que el checkpoint no guarda: el paso que las usa y dónde van en las respuestas
+const RESUME_SECRETS = {
+  dbPassword: { step: 'database', field: 'dbConn', message: 'Contraseña de la base de datos' },
+  filamentPassword: { step: 'filament', field: 'filament', message: 'Contraseña Filament' },
+}
+
+/**
+ * --resume: recupera las contraseñas omitidas en el checkpoint desde input (bandera, CLF_* o
+ * --*-password-file) o con un prompt. Solo son obligatorias si el paso que las usa sigue pendiente;
+ * si falta alguna lanza Error.
+ */
+async function restoreSecrets(answers, checkpoint, input, interactive) {
+  for (const [key, { step, field, message }] of Object.entries(RESUME_SECRETS)) {
+    if (!checkpoint.redacted.includes(key)) continue
+    let value = input[key]
+    const pending = answers.steps.includes(step) && !checkpoint.completed.includes(step)
+    if (!value && pending && interactive) {
+      value = await p.password({ message })
+      if (p.isCancel(value)) exitCancelled()
+    }
+    if (!value && pending) {
+      throw new Error(`Falta ${requiredFlag(key)} para reanudar: el checkpoint no guarda contraseñas`)
+    }
+    if (value) answers[field] = { ...answers[field], password: value }
+  }
+}
+
+// Cada dato requerido se puede dar con la bandera, con su variable CLF_* o en el archivo de
+// configuración; las contraseñas también con --*-password-file
+function requiredFlag(key) {
+  const fileKey = PASSWORD_FILE_OPTIONS[key]
+  return fileKey ? `${flagOf(key)} (o ${envOf(key)} / ${flagOf(fileKey)})` : flagOf(key)
 }
 
 /**
- * Validación de flags en modo no interactivo
+ * Validación de flags en modo no interactivo. input ya combina banderas, variables de entorno,
+ * configuración y archivos de contraseña, así que cualquiera de ellos satisface un dato requerido.
  */
 function validateNonInteractive(input) {
   const missing = []
   if (!input.projectName) missing.push('--project-name')
   if (!input.starterKit) missing.push('--starter-kit')
   if (!input.db) missing.push('--db')
-  if (input.db === 'mysql' || input.db === 'postgresql') {
+  // con --env sail la conexión es la del contenedor de Sail
+  if (input.env !== 'sail' && isServerDatabase(input.db)) {
     if (!input.dbHost) missing.push('--db-host')
     if (!input.dbPort) missing.push('--db-port')
     if (!input.dbName) missing.push('--db-name')
     if (!input.dbUser) missing.push('--db-user')
-    if (!input.dbPassword) missing.push('--db-password')
+    if (!input.dbPassword) missing.push(requiredFlag('dbPassword'))
   }
   if (!input.filamentName) missing.push('--filament-name')
   if (!input.filamentEmail) missing.push('--filament-email')
-  if (!input.filamentPassword) missing.push('--filament-password')
+  if (!input.filamentPassword) missing.push(requiredFlag('filamentPassword'))
   return missing
 }
 
@@ -543,13 +556,97 @@ function validateNonInteractive(input) {
  */
 export async function runCreate(ctx = {}) {
   const {
-    json = false,
+    json: jsonFlag = false,
+    jsonStream = false,
     nonInteractive = false,
     yes = false,
     verbose = false,
     color, // may be true if --color
     noColor, // true if --no-color
+    resume,
+    dryRun = false,
+    plugin: pluginFlags = [],
+    config: configFlag,
+    preset,
+    // Origen de cada opción según commander ('cli', 'env', 'default'); ver mergeOptions
+    optionSources,
+    // Executor de procesos (ver src/utils/executor.js); por defecto el del sistema o CLF_EXECUTOR
+    executor: executorOption,
+  } = ctx
+
+  // --json-stream implica todo lo de --json (sin prompts ni colores), pero emite NDJSON
+  const json = jsonFlag || jsonStream
+  const flags = { json, jsonStream, nonInteractive, yes, verbose }
+  const tty = isTTY()
+  const interactive = !json && !nonInteractive && tty
+  const colorOn = colorsEnabled({ json, noColor, color })
+  if (!colorOn) {
+    process.env.FORCE_COLOR = '0'
+    process.env.NO_COLOR = '1'
+  } else if (color === true) {
+    process.env.FORCE_COLOR = '1'
+  }
+
+  // --json-stream: una línea por evento del ciclo de vida; el documento final es el evento run_finished
+  const emit = line => {
+    if (jsonStream) process.stdout.write(JSON.stringify({ ...line, timestamp: new Date().toISOString() }) + '\n')
+  }
+  // Documento final de --json (ver schema/create-output.schema.json): todos los campos están
+  // siempre presentes, con null/[] cuando no aplican
+  const documentOf = fields => ({
+    schemaVersion: SCHEMA_VERSION,
+    cliVersion: CLI_VERSION,
+    command: 'create',
+    status: fields.status,
+    flags: { ...flags, dryRun },
+    environment: { tty, node: process.version, platform: process.platform },
+    input: null,
+    tasks: [],
+    result: null,
+    error: null,
+    checkpoint: null,
+    rollback: null,
+    log: null,
+    metrics: null,
+    ...fields,
+  })
+  const writeDocument = out => {
+    if (jsonStream) emit({ event: 'run_finished', ...out })
+    else process.stdout.write(JSON.stringify(out) + '\n')
+  }
+
+  // Errores de entrada (antes de ejecutar tareas)
+  const exitWithInputError = (message, code) => {
+    if (json) {
+      writeDocument(documentOf({ status: 'error', error: { message, code, step: null, exitCode: exitCodeOf(code) } }))
+    } else {
+      const msg = colorOn ? chalk.red(message) : message
+      console.error(msg)
+    }
+    process.exit(exitCodeOf(code))
+  }
+
+  // Configuración (--config o .create-laravel-filament.json) y preset, por debajo de banderas y entorno
+  let config
+  let options
+  try {
+    config = await loadConfig({ file: configFlag })
+    options = mergeOptions(ctx, optionSources, configOptionsOf(config, preset))
+  } catch (err) {
+    exitWithInputError(err.message, 'ECONFIG')
+  }
+  // Excluyentes en la misma capa (p. ej. --skip y --only, o --db-password y --db-password-file)
+  try {
+    checkExclusiveOptions(options)
+    options = await resolvePasswordFiles(options)
+  } catch (err) {
+    exitWithInputError(err.message, 'EINVAL')
+  }
+  const {
     projectName,
+    env,
+    dir,
+    sailServices,
     starterKit,
     db,
     dbHost,
@@ -557,25 +654,34 @@ export async function runCreate(ctx = {}) {
     dbName,
     dbUser,
     dbPassword,
+    dbCompose,
+    dbCreate,
+    cache,
+    queue,
+    session,
+    redisHost,
+    redisPort,
+    horizon,
     herdDir,
     filamentName,
     filamentEmail,
     filamentPassword,
-  } = ctx
-
-  const tty = isTTY()
-  const interactive = !json && !nonInteractive && tty
-  const colorOn = colorsEnabled({ json, noColor, color })
-  if (!colorOn) {
-    process.env.FORCE_COLOR = '0'
-    process.env.NO_COLOR = '1'
-  } else if (color === true) {
-    process.env.FORCE_COLOR = '1'
-  }
+    skip,
+    only,
+    rollbackOnFailure = false,
+    sequential = false,
+    retries = 2,
+    retryDelay = 2000,
+    stepTimeout,
+  } = options
 
   // Preparar input inicial
   let input = {
     projectName,
+    env,
+    // --herd-dir es un alias de --dir
+    dir: dir || herdDir,
+    sailServices,
     starterKit,
     db,
     dbHost,
@@ -583,18 +689,115 @@ export async function runCreate(ctx = {}) {
     dbName,
     dbUser,
     dbPassword,
-    herdDir,
+    dbCompose,
+    dbCreate,
+    cache,
+    queue,
+    session,
+    redisHost,
+    redisPort,
+    horizon,
     filamentName,
     filamentEmail,
     filamentPassword,
   }
 
+  let executor = executorOption
+  if (!executor) {
+    try {
+      executor = executorFromEnv()
+    } catch (err) {
+      exitWithInputError(err.message, 'EINVAL')
+    }
+  }
+
+  let checkpoint = null
+  if (resume) {
+    // Reanudar: respuestas y pasos completados salen del checkpoint
+    try {
+      checkpoint = await readCheckpoint(resume)
+    } catch (err) {
+      exitWithInputError(err.message, 'ENOENT')
+    }
+  }
+
+  // Pipeline: pasos incluidos + plugins (--plugin, archivo de configuración y los de la ejecución reanudada)
+  let pipeline
+  let plugins
+  try {
+    const configDir = config.file ? path.dirname(config.file) : process.cwd()
+    plugins = [
+      ...new Set([
+        ...pluginFlags.map(spec => resolvePluginSpec(spec)),
+        ...(config.data.plugins || []).map(spec => resolvePluginSpec(spec, configDir)),
+        ...(checkpoint?.answers.plugins || []),
+      ]),
+    ]
+    const pluginSteps = await loadPlugins(plugins)
+    pipeline = orderSteps([...BUILTIN_STEPS.map(step => validateStep(step)), ...pluginSteps])
+  } catch (err) {
+    exitWithInputError(err.message, 'EPLUGIN')
+  }
+  // Límites por paso del archivo de configuración; los ids se validan contra el pipeline con plugins
+  let stepTimeouts
+  try {
+    stepTimeouts = stepTimeoutsOf(
+      config,
+      pipeline.map(step => step.id),
+    )
+  } catch (err) {
+    exitWithInputError(err.message, 'ECONFIG')
+  }
+
+  // Selección de pasos (--skip / --only)
+  const selection = selectSteps(pipeline, { skip, only })
+  if (selection.error) exitWithInputError(selection.error, 'EINVAL')
+  const omittedRequired = pipeline.filter(step => step.required && !selection.steps.includes(step.id))
+  if (!resume && omittedRequired.length > 0) {
+    exitWithInputError(
+      `Los pasos ${omittedRequired.map(step => step.id).join(', ')} son obligatorios: --skip solo puede omitirlos con --resume`,
+      'EINVAL',
+    )
+  }
+  const hasSelection = Boolean(skip || only)
+
   let answers
-  if (interactive) {
-    answers = await interactiveGather(input, { yes })
+  if (checkpoint) {
+    answers = checkpoint.answers
+    // Checkpoints anteriores a --env: siempre eran proyectos de Herd
+    answers.env ??= 'herd'
+    answers.dir ??= answers.herdDir
+    answers.sailServices ??= []
+    answers.dbCompose ??= false
+    answers.dbCreate = Boolean(answers.dbCreate || input.dbCreate)
+    answers.cache ??= null
+    answers.queue ??= null
+    answers.session ??= null
+    answers.redis ??= null
+    answers.horizon ??= false
+    // Una selección explícita reemplaza la de la ejecución original
+    if (hasSelection || !answers.steps) answers.steps = selection.steps
+    try {
+      await restoreSecrets(answers, checkpoint, input, interactive)
+    } catch (err) {
+      exitWithInputError(err.message, 'EINVAL')
+    }
+    if (!json) {
+      const msg = `Reanudando instalación en ${checkpoint.projectPath}${
+        checkpoint.failed ? ` desde el paso "${checkpoint.failed}"` : ''
+      }`
+      console.log(colorOn ? chalk.cyan(msg) : msg)
+    }
+  } else if (interactive) {
+    answers = await interactiveGather(
+      { ...input, steps: hasSelection ? selection.steps : undefined },
+      { yes, dryRun, configFile: config.file, executor },
+      pipeline,
+    )
   } else {
     // No interactivo
     // Defaults razonables si faltan (cuando aplicable)
+    input.env = input.env || 'herd'
     input.starterKit = input.starterKit || 'react'
     input.db = input.db || 'sqlite'
     if (!nonInteractive) {
@@ -610,428 +813,531 @@ export async function runCreate(ctx = {}) {
       filamentPassword: input.filamentPassword,
     })
     if (missing.length > 0) {
-      const message = `Faltan banderas requeridas en modo no interactivo: ${missing.join(', ')}`
-      if (json) {
-        const out = {
-          version: '1.0.0',
-          command: 'create',
-          flags: { json, nonInteractive, yes, verbose },
-          environment: { tty, node: process.version, platform: process.platform },
-          status: 'error',
-          error: { message, code: 'EINVAL' },
-        }
-        process.stdout.write(JSON.stringify(out) + '\n')
-      } else {
-        const msg = colorOn ? chalk.red(message) : message
-        console.error(msg)
-      }
-      process.exit(1)
+      exitWithInputError(`Faltan banderas requeridas en modo no interactivo: ${missing.join(', ')}`, 'EINVAL')
     }
     answers = {
       projectName: input.projectName,
+      env: input.env,
+      sailServices: input.sailServices || [],
+      // En dry-run no se crea nada en disco, ni siquiera la carpeta de proyectos
+      dir: input.dir || (dryRun ? defaultProjectsDirectory(input.env) : await getProjectsDirectory(input.env)),
       starterKit: input.starterKit,
       db: input.db,
-      dbConn: {
+      dbConn: (input.env === 'sail' &&
+        sailConnectionOf(input.db, { name: input.dbName, user: input.dbUser, password: input.dbPassword })) || {
         host: input.dbHost,
         port: input.dbPort,
         name: input.dbName,
         user: input.dbUser,
         password: input.dbPassword,
       },
+      dbCompose: Boolean(input.dbCompose),
+      // Sin asistente, crear una base de datos inexistente exige --db-create
+      dbCreate: Boolean(input.dbCreate),
+      cache: input.cache || null,
+      queue: input.queue || null,
+      session: input.session || null,
+      redis: usesRedis(input) ? redisConnOf(input.env, input) : null,
+      horizon: Boolean(input.horizon),
       filament: { name: input.filamentName, email: input.filamentEmail, password: input.filamentPassword },
-      herdDir: input.herdDir || (await getHerdDirectory()),
+      steps: selection.steps,
     }
   }
 
-  const starterKitFlag = `--${answers.starterKit}`
+  answers.plugins = plugins
+  // Con Sail, lo que sigue al scaffold espera además a database: un plugin que deba ir antes de
+  // database y después de scaffold forma un ciclo
+  if (answers.env === 'sail') {
+    try {
+      pipeline = orderSteps(pipeline, { env: answers.env })
+    } catch (err) {
+      exitWithInputError(
+        `${err.message} (con --env sail, los pasos posteriores a scaffold esperan a database)`,
+        'EPLUGIN',
+      )
+    }
+  }
+  // Sail levanta la base de datos en un contenedor (paso database) y no tiene servicio para todas
+  if (!checkpoint && answers.env === 'sail') {
+    const unknown = answers.sailServices.filter(service => !SAIL_SERVICES.includes(service))
+    if (unknown.length > 0) {
+      exitWithInputError(
+        `Servicios de Sail desconocidos: ${unknown.join(', ')}. Disponibles: ${SAIL_SERVICES.join(', ')}`,
+        'EINVAL',
+      )
+    }
+    if (!supportsSail(answers.db)) exitWithInputError(`--env sail no admite --db ${answers.db}`, 'EINVAL')
+    if (!answers.steps.includes('database')) {
+      exitWithInputError('--env sail necesita el paso database, que instala y levanta Sail', 'EINVAL')
+    }
+  }
+  // El docker-compose.yml solo sirve para una base con servidor en este equipo
+  if (!checkpoint && answers.dbCompose) {
+    if (answers.env === 'sail') exitWithInputError('--db-compose no es compatible con --env sail', 'EINVAL')
+    if (!isServerDatabase(answers.db)) {
+      exitWithInputError('--db-compose requiere --db mysql, mariadb, postgresql o sqlsrv', 'EINVAL')
+    }
+    // la imagen de SQL Server solo configura la cuenta sa
+    if (answers.db === 'sqlsrv' && answers.dbConn.user !== 'sa') {
+      exitWithInputError('--db-compose con --db sqlsrv requiere --db-user sa', 'EINVAL')
+    }
+    if (!isLocalHost(answers.dbConn.host)) {
+      exitWithInputError(`--db-compose levanta la base de datos en este equipo, no en ${answers.dbConn.host}`, 'EINVAL')
+    }
+  }
+  // Horizon solo gestiona colas de Redis; con Sail, Redis es un servicio más
+  if (!checkpoint) {
+    if (answers.horizon && answers.queue !== 'redis') exitWithInputError('--horizon requiere --queue redis', 'EINVAL')
+    if (answers.horizon && answers.env !== 'sail' && process.platform === 'win32') {
+      exitWithInputError(
+        'Laravel Horizon necesita las extensiones pcntl y posix de PHP, que no existen en Windows; usa --env sail',
+        'EINVAL',
+      )
+    }
+    if (answers.env === 'sail' && answers.redis && !answers.sailServices.includes('redis')) {
+      answers.sailServices = [...answers.sailServices, 'redis']
+    }
+  }
   const dbLabel = dbLabelOf(answers.db)
+  const selectedSteps = answers.steps
+  const maskedInput = {
+    projectName: answers.projectName,
+    env: answers.env,
+    dir: answers.dir,
+    sailServices: answers.sailServices,
+    starterKit: answers.starterKit,
+    db: answers.db,
+    dbConn: answers.dbConn ? { ...answers.dbConn, password: answers.dbConn.password ? '********' : null } : null,
+    dbCompose: answers.dbCompose,
+    dbCreate: answers.dbCreate,
+    cache: answers.cache,
+    queue: answers.queue,
+    session: answers.session,
+    redis: answers.redis,
+    horizon: answers.horizon,
+    // Obsoleto: alias de dir
+    herdDir: answers.dir,
+    filament: { name: answers.filament.name, email: answers.filament.email },
+    steps: answers.steps,
+  }
+
+  // Cada evento registrado se emite también en --json-stream, con los campos de `tasks`
   const events = []
+  const addEvent = (e, event, step) => {
+    events.push(e)
+    emit({ event, step, ...taskEntry(e, events.length - 1) })
+  }
   const startedAt = Date.now()
 
   let projectPath = ''
+  const completed = new Set()
+  if (checkpoint) {
+    projectPath = checkpoint.projectPath
+    for (const id of checkpoint.completed) completed.add(id)
+    // Los pasos trabajan con rutas relativas al proyecto. Si scaffold quedó pendiente (falló tras
+    // crear la carpeta), se reanuda desde la de proyectos: prechecks, que hace ese chdir, ya terminó
+    process.chdir(completed.has('scaffold') ? projectPath : path.dirname(projectPath))
+  }
+
+  // --env sail: desde que el paso database instala Sail, PHP, Composer y npm se ejecutan en el
+  // contenedor de la aplicación. Al reanudar, los contenedores se levantan antes del primer comando.
+  let sailReady = answers.env === 'sail' && completed.has('database')
+  let sailUp = null
+  // Levanta los contenedores una sola vez, con el primer paso que los necesita; si no arrancan, ese
+  // paso falla con EPREREQ en lugar de dejar que sus comandos fallen dentro de Sail
+  const startSail = (stepId, opts) =>
+    (sailUp ??= (async () => {
+      emit({
+        event: 'command_started',
+        step: stepId,
+        name: 'sail_up',
+        status: 'running',
+        attempt: null,
+        command: formatCommand(SAIL_UP),
+      })
+      const r = await executor.run(SAIL_UP, opts)
+      addEvent({ name: 'sail_up', ...r }, 'command_finished', stepId)
+      if (r.status !== 'success') {
+        const detail = (r.stderr || r.error?.message || r.status).trim()
+        throw cliError('EPREREQ', `No se pudieron levantar los contenedores de Sail: ${detail}`, stepId)
+      }
+    })())
   const renderer = json ? 'silent' : interactive ? 'default' : 'silent'
 
-  const tasks = new Listr(
-    [
-      {
-        title: 'Prechequeos',
-        task: async task => {
-          // herd
-          try {
-            await commandExists('herd')
-            if (!json && colorOn) task.output = chalk.green('herd OK')
-          } catch {
-            throw new Error('Laravel Herd no parece estar instalado. Instálalo antes de continuar.')
-          }
+  // Pasos independientes en paralelo; el dry-run es siempre secuencial para que el plan sea estable
+  const concurrent = !dryRun && !sequential
+  const locks = createLocks()
+
+  // Dry-run: los comandos y escrituras se registran en el plan en lugar de ejecutarse
+  const plan = []
+  // Avisos de los pasos (ctx.warn): con Listr se repiten en el resumen final, porque la salida
+  // de la tarea desaparece al terminar
+  const warnings = []
+  let plannedCwd = process.cwd()
+  const secrets = [answers.dbConn?.password, answers.filament?.password].filter(Boolean)
+  const maskSecrets = str => secrets.reduce((acc, secret) => acc.split(secret).join('********'), String(str))
+
+  // Log completo de la ejecución: en la caché del usuario hasta que exista el proyecto
+  let runLog = null
+  if (!dryRun) {
+    try {
+      runLog = await createRunLog({ mask: maskSecrets })
+      if (projectPath) await runLog.moveTo(projectLogDir(projectPath))
+    } catch {}
+  }
 
-          // cambiar a Herd dir
-          const herdDirectory = await getHerdDirectory(answers.herdDir)
-          process.chdir(herdDirectory)
+  // Limpieza ante fallos (--rollback-on-failure o confirmación en modo interactivo)
+  const rollback = createRollback()
+
+  // Contexto de cada paso (ver src/steps/registry.js). El estado es compartido; el registro
+  // del plan y el tiempo esperando recursos son propios del paso.
+  const contextFor = step => {
+    const timing = { startedAt: null, lockWaitMs: 0 }
+    // Un único plazo por paso, compartido por todos sus comandos (sin contar esperas por recursos).
+    // Fuera del paso (acciones de rollback) cada comando vuelve a tener el límite completo
+    const timeoutMs = stepTimeoutMs(step, { flag: stepTimeout, overrides: stepTimeouts })
+    const remainingMs = (waitedMs = 0) => {
+      if (timeoutMs <= 0 || timing.startedAt === null) return timeoutMs
+      return timing.startedAt + timing.lockWaitMs + waitedMs + timeoutMs - Date.now()
+    }
+    const expired = (cmd, log) => {
+      const stderr = `Tiempo agotado tras ${formatDuration(timeoutMs)}: ${formatCommand(cmd)}`
+      log?.({ cmd: formatCommand(cmd), cwd: process.cwd(), status: 'timeout', durationMs: 0, stdout: '', stderr })
+      return { status: 'timeout', durationMs: 0, stdout: '', stderr }
+    }
+    // --verbose: salida en vivo con el id del paso, en la tarea de Listr o por stderr
+    const live = { task: null }
+    const onOutput = verbose
+      ? line => {
+          const prefixed = `[${step.id}] ${line}`
+          if (renderer === 'default' && live.task) live.task.output = prefixed
+          else process.stderr.write(prefixed + '\n')
+        }
+      : undefined
+    const record = entry => plan.push({ index: plan.length, step: step.id, ...entry, when: entry.when ?? null })
+
+    const sh = async (cmd, opts = {}) => {
+      const resources = concurrent ? resourcesOf(cmd, opts.lock) : []
+      if (sailReady && runsInSail(cmd)) {
+        cmd = viaSail(cmd)
+        opts = { ...opts, shell: false }
+      }
+      if (dryRun) {
+        record({ type: 'command', command: maskSecrets(formatCommand(cmd)), cwd: plannedCwd, when: opts.when })
+        return { status: 'success', durationMs: 0, stdout: '', stderr: '' }
+      }
+      const log = runLog ? entry => runLog.command({ step: step.id, ...entry }) : undefined
+      if (sailReady && cmd[0] === SAIL_UP[0]) await startSail(step.id, { timeoutMs: Math.max(remainingMs(), 1), log })
+      const runWithin = (waitedMs = 0) => {
+        const timeLeft = remainingMs(waitedMs)
+        if (timeoutMs > 0 && timeLeft <= 0) return expired(cmd, log)
+        return executor.run(cmd, { ...opts, timeoutMs: timeLeft, onOutput, log })
+      }
+      if (resources.length === 0) return runWithin()
+      const { value, waitedMs } = await locks.with(resources, runWithin)
+      timing.lockWaitMs += waitedMs
+      return value
+    }
 
-          // registrar
-          events.push({ name: 'prechecks', status: 'success' })
-        },
+    const ctx = {
+      answers,
+      json,
+      colorOn,
+      dryRun,
+      dbLabel,
+      get projectPath() {
+        return projectPath
       },
-      {
-        title: 'Scaffold del proyecto',
-        task: async () => {
-          // laravel installer
-          let hasLaravel = true
-          try {
-            await commandExists('laravel')
-          } catch {
-            hasLaravel = false
-          }
-          if (!hasLaravel) {
-            const r = await run('composer global require laravel/installer -q -n')
-            events.push({ name: 'install_laravel_installer', ...r })
-            if (r.status === 'error') throw new Error('Fallo al instalar Laravel Installer')
-          }
-
-          // crear proyecto
-          const createCmd = `laravel new ${answers.projectName} ${starterKitFlag} --git --pest --no-interaction`
-          const r2 = await run(createCmd)
-          events.push({ name: 'laravel_new', ...r2 })
-          if (r2.status === 'error') throw new Error('Fallo al crear el proyecto Laravel')
-
-          projectPath = path.join(process.cwd(), answers.projectName)
-          process.chdir(projectPath)
-          events.push({ name: 'chdir_project', status: 'success' })
-        },
+      setProjectPath(dir) {
+        projectPath = dir
       },
-      {
-        title: 'Base de datos y entorno',
-        task: async () => {
-          // Advertencia si MySQL/PostgreSQL no está escuchando
-          if (answers.db === 'mysql' || answers.db === 'postgresql') {
-            const listening =
-              answers.db === 'mysql'
-                ? await detectMysqlService(answers.dbConn.host, answers.dbConn.port)
-                : await detectPostgresService(answers.dbConn.host, answers.dbConn.port)
-            const msg = listening
-              ? `${answers.db === 'mysql' ? 'MySQL' : 'PostgreSQL'} detectado en ${answers.dbConn.host}:${
-                  answers.dbConn.port
-                }`
-              : `Advertencia: No se detectó ${answers.db === 'mysql' ? 'MySQL' : 'PostgreSQL'} activo en ${
-                  answers.dbConn.host
-                }:${answers.dbConn.port}. Inícialo para evitar fallos en migraciones.`
-            if (!json) {
-              const out = colorOn ? (listening ? chalk.green(msg) : chalk.yellow.bold(msg)) : msg
-              console.log(out)
-            }
-            events.push({
-              name: answers.db === 'mysql' ? 'mysql_service_check' : 'postgres_service_check',
-              status: listening ? 'success' : 'warning',
-              stdout: msg,
+      cwd: () => (dryRun ? plannedCwd : process.cwd()),
+      chdir(dir) {
+        if (dryRun) plannedCwd = dir
+        else process.chdir(dir)
+      },
+      sh,
+      // Ejecuta, registra el evento y lanza si falla. Los comandos de red (opts.network) se
+      // reintentan con espera exponencial; cada intento queda en events con su número.
+      async exec(name, cmd, errorMessage, opts = {}) {
+        const attempts = opts.network ? retries + 1 : 1
+        for (let attempt = 1; ; attempt++) {
+          if (!dryRun) {
+            emit({
+              event: 'command_started',
+              step: step.id,
+              name,
+              status: 'running',
+              attempt: attempts > 1 ? attempt : null,
+              command: maskSecrets(formatCommand(cmd)),
             })
           }
-          if (answers.db === 'supabase') {
-            // node/npm
-            try {
-              await commandExists('node')
-            } catch {
-              throw new Error('Node.js no está instalado. Requerido para Supabase.')
-            }
-            try {
-              await commandExists('npm')
-            } catch {
-              throw new Error('npm no está instalado. Requerido para Supabase.')
-            }
-
-            // instalar supabase cli en el proyecto
-            const r0 = await run('npm install supabase --save-dev')
-            events.push({ name: 'npm_install_supabase_cli', ...r0 })
-            if (r0.status === 'error') throw new Error('Fallo al instalar Supabase CLI')
-
-            // docker running
-            const r1 = await run('docker info')
-            events.push({ name: 'docker_info', ...r1 })
-            if (r1.status === 'error') throw new Error('Docker no está en ejecución. Inícialo antes de continuar.')
-
-            // supabase init
-            const r2 = await run('npx supabase init --yes')
-            events.push({ name: 'supabase_init', ...r2 })
-            if (r2.status === 'error') throw new Error('Fallo al inicializar Supabase')
-
-            // supabase start
-            const r3 = await run('npx supabase start')
-            events.push({ name: 'supabase_start', ...r3 })
-            if (r3.status === 'error') throw new Error('Fallo al iniciar Supabase')
-          }
-
-          // Configurar .env según DB
-          if (answers.db === 'sqlite') {
-            await updateEnvValues(projectPath, { DB_CONNECTION: 'sqlite' })
-            await maybeCreateSqliteDatabase(projectPath)
-          } else if (answers.db === 'supabase') {
-            await updateEnvValues(projectPath, {
-              DB_CONNECTION: 'pgsql',
-              DB_HOST: 'localhost',
-              DB_PORT: '54322',
-              DB_DATABASE: 'postgres',
-              DB_USERNAME: 'postgres',
-              DB_PASSWORD: 'postgres',
-            })
-          } else if (answers.db === 'mysql' || answers.db === 'postgresql') {
-            await updateEnvValues(projectPath, {
-              DB_CONNECTION: answers.db === 'mysql' ? 'mysql' : 'pgsql',
-              DB_HOST: answers.dbConn.host,
-              DB_PORT: answers.dbConn.port,
-              DB_DATABASE: answers.dbConn.name,
-              DB_USERNAME: answers.dbConn.user,
-              DB_PASSWORD: answers.dbConn.password,
-            })
+          const r = await sh(cmd, opts)
+          // el ejecutable no existe (php, composer, npm, docker, ...): reintentar no sirve
+          const notFound = r.status === 'error' && r.error?.code === 'ENOENT'
+          const retry = r.status === 'error' && !notFound && attempt < attempts
+          addEvent(
+            { name, ...r, ...(attempts > 1 && { attempt }), ...(retry && { status: 'retried' }) },
+            'command_finished',
+            step.id,
+          )
+          // Un comando colgado no se reintenta: ya consumió todo el tiempo del paso
+          if (r.status === 'timeout') {
+            throw cliError(
+              'ETIMEOUT',
+              `${errorMessage}: se agotó el límite del paso (${formatDuration(timeoutMs)})`,
+              step.id,
+            )
           }
-
-          // App locale
-          await setAppLocaleEs(projectPath)
-
-          // Migraciones
-          const r4 = await run('php artisan migrate -n')
-          events.push({ name: 'artisan_migrate', ...r4 })
-          if (r4.status === 'error') throw new Error('Fallo al ejecutar migraciones')
-        },
+          if (r.status !== 'error') return r
+          if (notFound) throw cliError('EPREREQ', `${errorMessage}: no se encontró ${[cmd].flat()[0]}`, step.id)
+          if (!retry) throw cliError(opts.code || (opts.network ? 'EINSTALL' : 'ESTEP'), errorMessage, step.id)
+
+          const delayMs = retryDelay * 2 ** (attempt - 1)
+          const notice = `${errorMessage}; reintento ${attempt + 1}/${attempts} en ${delayMs} ms`
+          runLog?.write(`[${step.id}] ${notice}`)
+          if (renderer === 'default' && live.task) live.task.output = notice
+          else if (verbose) process.stderr.write(`[${step.id}] ${notice}\n`)
+          await sleep(delayMs)
+          await opts.beforeRetry?.()
+        }
       },
-      {
-        title: 'Parche 2FA (UserFactory)',
-        task: async () => {
-          const has2fa = await detectTwoFactorColumnsInMigrations(projectPath)
-          events.push({
-            name: 'detect_two_factor_migration',
-            status: has2fa ? 'success' : 'skipped',
-            stdout: has2fa ? '2FA columns detected' : 'No 2FA columns detected',
-          })
-          if (!has2fa) return
-          const patch = await patchUserFactoryTwoFactorDefaults(projectPath)
-          events.push({
-            name: 'patch_user_factory_2fa',
-            status: patch.patched ? 'success' : 'skipped',
-            stdout: patch.patched ? 'UserFactory patched' : `Skipped (${patch.reason})`,
-          })
-        },
+      async ensureCommand(name) {
+        if (sailReady && runsInSail([name])) return
+        if (!dryRun) return executor.commandExists(name)
+        record({ type: 'check', command: name, cwd: plannedCwd })
       },
-      {
-        title: 'Filament',
-        task: async () => {
-          const r1 = await run('composer require filament/filament --with-all-dependencies -q -n')
-          events.push({ name: 'composer_filament', ...r1 })
-          if (r1.status === 'error') throw new Error('Fallo instalando Filament')
-
-          const r2 = await run('php artisan filament:install --panels -n -q')
-          events.push({ name: 'artisan_filament_install', ...r2 })
-          if (r2.status === 'error') throw new Error('Fallo configurando Filament')
-
-          const r3 = await run(
-            `php artisan make:filament-user --name="${answers.filament.name}" --email="${answers.filament.email}" --password="${answers.filament.password}"`,
-          )
-          events.push({ name: 'artisan_filament_user', ...r3 })
-          if (r3.status === 'error') throw new Error('Fallo creando usuario de Filament')
-
-          const r4 = await run('php artisan make:filament-resource User --generate -n -q')
-          events.push({ name: 'artisan_filament_resource_user', ...r4 })
-          if (r4.status === 'error') throw new Error('Fallo creando Resource User')
-        },
+      // Conexión con el protocolo de la base de datos elegida (o de Redis): action 'check' | 'create'
+      database: (action, db = answers.db, conn = answers.dbConn) => executor.database(action, db, conn),
+      portOpen: (host, port) => executor.portOpen(host, port),
+      async writeFile(file, content) {
+        if (!dryRun) return fs.writeFile(file, content)
+        record({ type: 'file', path: file, content: maskSecrets(content) })
       },
-      {
-        title: 'Pruebas (Pest)',
-        task: async () => {
-          const r = await run(
-            'php artisan pest:install -n -q || composer exec -q pest -- --init || vendor/bin/pest --init',
-          )
-          events.push({ name: 'pest_install', ...r })
-          if (r.status === 'error') throw new Error('Fallo configurando Pest')
-        },
+      async setEnv(updates) {
+        if (!dryRun) return updateEnvValues(projectPath, updates)
+        const values = Object.fromEntries(Object.entries(updates).map(([k, v]) => [k, maskSecrets(v)]))
+        record({ type: 'env', path: path.join(projectPath, '.env'), values })
       },
-      {
-        title: 'Herramientas de desarrollo',
-        task: async () => {
-          const r1 = await run('composer require laravel/boost --dev -q -n')
-          events.push({ name: 'composer_laravel_boost', ...r1 })
-          if (r1.status === 'error') throw new Error('Fallo instalando Laravel Boost')
-
-          const r2 = await run('php artisan boost:install -q -n')
-          events.push({ name: 'artisan_boost_install', ...r2 })
-          if (r2.status === 'error') throw new Error('Fallo configurando Laravel Boost')
-
-          const r3 = await run('composer require "larastan/larastan:^3.0" --dev -q')
-          events.push({ name: 'composer_larastan', ...r3 })
-          if (r3.status === 'error') throw new Error('Fallo instalando Larastan')
-
-          await createPhpstanFile(projectPath)
-
-          const r4 = await run('composer require barryvdh/laravel-debugbar --dev -q')
-          events.push({ name: 'composer_debugbar', ...r4 })
-          if (r4.status === 'error') throw new Error('Fallo instalando Debugbar')
-
-          const r5 = await run('composer require laravel-lang/common -q')
-          events.push({ name: 'composer_laravel_lang', ...r5 })
-          if (r5.status === 'error') throw new Error('Fallo instalando Laravel Lang')
-        },
+      event: e => addEvent(e, 'task_event', step.id),
+      // Aviso que no detiene el paso. En JSON basta el evento con status 'warning' que lo acompaña
+      warn(message) {
+        runLog?.write(`[${step.id}] aviso: ${message}`)
+        if (json) return
+        warnings.push(`[${step.id}] ${message}`)
+        if (renderer === 'default' && live.task) live.task.output = message
+        else process.stderr.write(`[${step.id}] ${message}\n`)
+      },
+      record,
+      onRollback(action) {
+        if (!dryRun) rollback.add(action)
+      },
+      // Los contenedores de Sail ya están en marcha: los siguientes comandos se ejecutan en ellos
+      useSail() {
+        sailReady = true
+        sailUp = Promise.resolve()
       },
-      {
-        title: 'Calidad de código',
-        task: async () => {
-          const r1 = await run('composer require laravel/pint --dev -q')
-          events.push({ name: 'composer_pint', ...r1 })
-          if (r1.status === 'error') throw new Error('Fallo instalando Pint')
+    }
+    return { ctx, timing, live }
+  }
 
-          await createPintFile(projectPath)
+  // Checkpoint: cada paso completado queda registrado para poder reanudar con --resume.
+  // Con pasos concurrentes las escrituras se serializan y el paso fallido no se pierde.
+  let failedStep = null
+  const saveCheckpoint = async () => {
+    if (!projectPath || dryRun) return
+    try {
+      await locks.with(['checkpoint'], async () => {
+        await writeCheckpoint(projectPath, { answers, completed: [...completed], failed: failedStep })
+        // La carpeta de estado ya existe (con su .gitignore): el log pasa al proyecto
+        await runLog?.moveTo(projectLogDir(projectPath))
+      })
+    } catch {}
+  }
 
-          const r2 = await run('composer require rector/rector --dev -q')
-          events.push({ name: 'composer_rector', ...r2 })
-          if (r2.status === 'error') throw new Error('Fallo instalando Rector')
+  // Planificador: cada paso espera a sus prerrequisitos; tras el primer fallo, los pendientes se cancelan
+  const prerequisites = prerequisitesOf(pipeline, { env: answers.env })
+  const finished = new Map(pipeline.map(step => [step.id, deferred()]))
+  const stepDurations = {}
+  let failure = null
 
-          await createRectorFile(projectPath)
-        },
-      },
-      {
-        title: 'Essentials',
-        task: async () => {
-          const r1 = await run('composer require nunomaduro/essentials -q -n')
-          events.push({ name: 'composer_essentials', ...r1 })
-          if (r1.status === 'error') throw new Error('Fallo instalando Essentials')
-
-          const r2 = await run('php artisan vendor:publish --tag=essentials-config -n -q')
-          events.push({ name: 'artisan_vendor_publish_essentials', ...r2 })
-          if (r2.status === 'error') throw new Error('Fallo publicando configuración de Essentials')
-        },
-      },
-      {
-        title: 'Frontend (Node + Vite)',
-        task: async () => {
-          try {
-            await commandExists('node')
-          } catch {
-            throw new Error('Node.js no está instalado.')
+  const tasks = new Listr(
+    pipeline.map(step => {
+      const { ctx: stepCtx, timing, live } = contextFor(step)
+      return {
+        title: step.title,
+        rendererOptions: verbose ? { outputBar: 10 } : undefined,
+        skip: () => {
+          let reason = false
+          if (completed.has(step.id)) {
+            addEvent(
+              { name: step.id, status: 'skipped', stdout: 'Completado en una ejecución previa' },
+              'task_finished',
+              step.id,
+            )
+            reason = `${step.title} (completado previamente)`
+          } else if (!selectedSteps.includes(step.id)) {
+            addEvent(
+              { name: step.id, status: 'skipped', stdout: 'Omitido por selección de pasos' },
+              'task_finished',
+              step.id,
+            )
+            reason = `${step.title} (omitido)`
           }
+          if (reason) finished.get(step.id).resolve()
+          return reason
+        },
+        task: async (listrCtx, task) => {
           try {
-            await commandExists('npm')
-          } catch {
-            throw new Error('npm no está instalado.')
-          }
-
-          const r1 = await run('npm install')
-          events.push({ name: 'npm_install', ...r1 })
-          if (r1.status === 'error') throw new Error('Fallo en npm install')
-
-          if (answers.starterKit === 'react') {
-            const r2 = await run('npm install @vitejs/plugin-react --save-dev')
-            events.push({ name: 'npm_install_vite_react', ...r2 })
-            if (r2.status === 'error') throw new Error('Fallo instalando plugin Vite React')
-          } else if (answers.starterKit === 'vue') {
-            const r3 = await run('npm install @vitejs/plugin-vue --save-dev')
-            events.push({ name: 'npm_install_vite_vue', ...r3 })
-            if (r3.status === 'error') throw new Error('Fallo instalando plugin Vite Vue')
+            await Promise.all([...prerequisites.get(step.id)].map(id => finished.get(id).promise))
+            if (failure) {
+              addEvent(
+                { name: step.id, status: 'skipped', stdout: 'Cancelado por el fallo de otro paso' },
+                'task_finished',
+                step.id,
+              )
+              task.skip(`${step.title} (cancelado)`)
+              return
+            }
+            // when se evalúa con los prerrequisitos terminados: puede depender de lo que dejaron en ctx
+            if (step.when && !step.when(stepCtx)) {
+              addEvent(
+                { name: step.id, status: 'skipped', stdout: 'No aplica a la configuración elegida' },
+                'task_finished',
+                step.id,
+              )
+              task.skip(`${step.title} (no aplica)`)
+              return
+            }
+            const stepStartedAt = Date.now()
+            timing.startedAt = stepStartedAt
+            const stepFinished = status =>
+              emit({
+                event: 'task_finished',
+                step: step.id,
+                name: step.id,
+                status,
+                durationMs: Date.now() - stepStartedAt,
+              })
+            live.task = task
+            emit({ event: 'task_started', step: step.id, name: step.id, status: 'running' })
+            try {
+              await runStep(step, stepCtx, task)
+            } catch (err) {
+              asStepError(err, step.id)
+              stepFinished(err.code === 'ETIMEOUT' ? 'timeout' : 'error')
+              runLog?.write(`[${step.id}] error: ${err.message}`)
+              if (!failure) {
+                failure = err
+                failedStep = step.id
+              }
+              await saveCheckpoint()
+              throw err
+            } finally {
+              live.task = null
+              timing.startedAt = null
+              stepDurations[step.id] = Date.now() - stepStartedAt - timing.lockWaitMs
+            }
+            stepFinished('success')
+            completed.add(step.id)
+            await saveCheckpoint()
+          } finally {
+            finished.get(step.id).resolve()
           }
-
-          const r4 = await run('npm run build')
-          events.push({ name: 'npm_run_build', ...r4 })
-          if (r4.status === 'error') throw new Error('Fallo construyendo assets con Vite')
-        },
-      },
-      {
-        title: 'Localización ES',
-        task: async () => {
-          const r1 = await run('php artisan lang:add es -n -q')
-          events.push({ name: 'artisan_lang_add', ...r1 })
-          if (r1.status === 'error') throw new Error('Fallo agregando idioma es')
-
-          const r2 = await run('php artisan lang:update -q -n')
-          events.push({ name: 'artisan_lang_update', ...r2 })
-          if (r2.status === 'error') throw new Error('Fallo actualizando traducciones')
-        },
-      },
-      {
-        title: 'Pruebas y calidad (pre-commit)',
-        task: async () => {
-          await ensurePhpunitAppLocaleEn(projectPath)
-
-          const r1 = await run('php vendor/bin/phpstan')
-          events.push({ name: 'phpstan', ...r1 })
-          if (r1.status === 'error') throw new Error('PHPStan falló')
-
-          const r2 = await run('php vendor/bin/pest')
-          events.push({ name: 'pest', ...r2 })
-          if (r2.status === 'error') throw new Error('Pest falló')
-
-          const r3 = await run('php vendor/bin/pint')
-          events.push({ name: 'pint', ...r3 })
-          if (r3.status === 'error') throw new Error('Pint falló')
-
-          const r4 = await run('php vendor/bin/rector process')
-          events.push({ name: 'rector', ...r4 })
-          if (r4.status === 'error') throw new Error('Rector falló')
-        },
-      },
-      {
-        title: 'Git',
-        task: async () => {
-          const r1 = await run('git add .')
-          events.push({ name: 'git_add', ...r1 })
-          if (r1.status === 'error') throw new Error('Fallo en git add')
-
-          const commitMessage = `✨ Filament + ${dbLabel} instalados: Configuración inicial por fases con starter kit y herramientas`
-          const r2 = await run(`git commit -m "${commitMessage}"`)
-          events.push({ name: 'git_commit', ...r2 })
-          if (r2.status === 'error') throw new Error('Fallo en git commit')
         },
-      },
-    ],
+      }
+    }),
     {
       renderer,
       // En modo no interactivo sin JSON, podríamos usar 'simple', pero 'silent' evita ruido en CI.
-      concurrent: false,
-      exitOnError: true,
+      concurrent,
+      // El planificador cancela los pasos pendientes; así los que ya corren terminan antes del rollback
+      exitOnError: false,
     },
   )
 
+  // Tiempo de reloj frente a la suma del tiempo de cada paso (sin contar esperas por recursos)
+  const metricsOf = totalMs => ({
+    totalDurationMs: totalMs,
+    stepsDurationMs: Object.values(stepDurations).reduce((sum, ms) => sum + ms, 0),
+    steps: stepDurations,
+    concurrent,
+  })
+
+  emit({
+    event: 'run_started',
+    command: 'create',
+    flags: { ...flags, dryRun },
+    environment: { tty, node: process.version, platform: process.platform },
+    input: maskedInput,
+    steps: pipeline.map(step => step.id),
+  })
+
   try {
     await tasks.run()
+    if (failure) throw failure
     const totalMs = Date.now() - startedAt
 
+    if (dryRun) {
+      if (json) {
+        writeDocument(
+          documentOf({
+            status: 'planned',
+            input: maskedInput,
+            plan,
+            result: { status: 'planned', projectPath, dbLabel, url: appUrlOf(answers.env, projectPath) },
+          }),
+        )
+      } else {
+        console.log(colorOn ? chalk.bold('\nPlan de ejecución (dry-run):') : '\nPlan de ejecución (dry-run):')
+        for (const entry of plan) {
+          const what =
+            entry.type === 'command'
+              ? `$ ${entry.command}`
+              : entry.type === 'check'
+                ? `comprobar ${entry.command}`
+                : entry.type === 'env'
+                  ? `actualizar ${entry.path}: ${Object.keys(entry.values).join(', ')}`
+                  : `escribir ${entry.path}`
+          const when = entry.when ? ` (si ${entry.when})` : ''
+          const line = `[${entry.step}] ${what}${when}`
+          console.log(colorOn ? chalk.cyan(line) : line)
+        }
+      }
+      process.exit(0)
+    }
+
+    if (projectPath) await removeCheckpoint(projectPath)
+
     if (json) {
       // Si DB supabase, intentar obtener estado (no fatal si falla)
       let supabaseStatus = null
       if (answers.db === 'supabase') {
-        const r = await run('npx supabase status')
+        const r = await executor.run(['npx', 'supabase', 'status'])
         supabaseStatus = { status: r.status, stdout: r.stdout, stderr: r.stderr }
       }
 
-      const out = {
-        version: '1.0.0',
-        command: 'create',
-        flags: { json, nonInteractive, yes, verbose },
-        environment: { tty, node: process.version, platform: process.platform },
-        input: {
-          projectName: answers.projectName,
-          starterKit: answers.starterKit,
-          db: answers.db,
-          dbConn: answers.dbConn || null,
-          herdDir: answers.herdDir,
-          filament: { name: answers.filament.name, email: answers.filament.email },
-        },
-        tasks: events.map((e, i) => ({
-          index: i,
-          name: e.name,
-          status: e.status,
-          durationMs: e.durationMs ?? null,
-          stdout: e.stdout ?? null,
-          stderr: e.stderr ?? null,
-        })),
-        result: {
+      writeDocument(
+        documentOf({
           status: 'success',
-          projectPath,
-          dbLabel,
-          supabase: supabaseStatus,
-        },
-        metrics: { totalDurationMs: totalMs },
-      }
-      process.stdout.write(JSON.stringify(out) + '\n')
+          input: maskedInput,
+          tasks: tasksOf(events),
+          result: {
+            status: 'success',
+            projectPath,
+            dbLabel,
+            url: appUrlOf(answers.env, projectPath),
+            supabase: supabaseStatus,
+          },
+          log: runLog?.path ?? null,
+          metrics: metricsOf(totalMs),
+        }),
+      )
       process.exit(0)
     } else {
       // Texto
       if (answers.db === 'supabase') {
-        const r = await run('npx supabase status')
+        const r = await executor.run(['npx', 'supabase', 'status'])
         if (colorOn) {
           if (r.status === 'success') {
             console.log(chalk.green.bold('\nLos contenedores de Supabase ya están en ejecución.'))
@@ -1051,6 +1357,32 @@ export async function runCreate(ctx = {}) {
         }
       }
 
+      const metrics = metricsOf(totalMs)
+      const timing = `\nTiempo total: ${Math.round(metrics.totalDurationMs / 1000)} s (suma de pasos: ${Math.round(
+        metrics.stepsDurationMs / 1000,
+      )} s)`
+      console.log(colorOn ? chalk.gray(timing) : timing)
+      if (renderer === 'default' && warnings.length > 0) {
+        const text = `\nAvisos:\n${warnings.map(warning => `  ${warning}`).join('\n')}`
+        console.log(colorOn ? chalk.yellow.bold(text) : text)
+      }
+
+      // Cómo abrir el panel: Herd ya sirve el proyecto; en native hay que levantar el servidor
+      const url = appUrlOf(answers.env, projectPath)
+      const nextSteps =
+        answers.env === 'herd'
+          ? `\nPanel de Filament: ${url}/admin`
+          : answers.env === 'sail'
+            ? `\nLos contenedores de Sail siguen en ejecución (deténlos con ./vendor/bin/sail stop).\nPanel de Filament: ${url}/admin`
+            : `\nInicia el servidor con:\n  cd "${projectPath}" && php artisan serve\nPanel de Filament: ${url}/admin`
+      console.log(colorOn ? chalk.cyan(nextSteps) : nextSteps)
+      // Las colas de Redis y base de datos necesitan un worker
+      if (answers.queue === 'redis' || answers.queue === 'database') {
+        const artisan = answers.env === 'sail' ? './vendor/bin/sail artisan' : 'php artisan'
+        const worker = `Procesa las colas con: ${artisan} ${answers.horizon ? 'horizon' : 'queue:work'}`
+        console.log(colorOn ? chalk.cyan(worker) : worker)
+      }
+
       const done = colorOn
         ? chalk.bold('\n¡Que disfrutes tu nuevo proyecto! 🚀')
         : '\n¡Que disfrutes tu nuevo proyecto! 🚀'
@@ -1060,7 +1392,7 @@ export async function runCreate(ctx = {}) {
       const option = await showFinalMenu(projectPath, colorOn)
 
       if (option === 'vscode') {
-        const result = await openVSCode(projectPath)
+        const result = await openVSCode(projectPath, executor)
         if (!result.success) {
           const errorMsg = colorOn
             ? chalk.red.bold(`\nError al abrir VS Code: ${result.error}`)
@@ -1074,31 +1406,68 @@ export async function runCreate(ctx = {}) {
     }
   } catch (err) {
     const totalMs = Date.now() - startedAt
-    if (json) {
-      const out = {
-        version: '1.0.0',
-        command: 'create',
-        flags: { json, nonInteractive, yes, verbose },
-        environment: { tty, node: process.version, platform: process.platform },
-        status: 'error',
-        tasks: events.map((e, i) => ({
-          index: i,
-          name: e.name,
-          status: e.status,
-          durationMs: e.durationMs ?? null,
-          stdout: e.stdout ?? null,
-          stderr: e.stderr ?? null,
-        })),
-        error: { message: err.message, step: err.step || null },
-        metrics: { totalDurationMs: totalMs },
-      }
-      process.stdout.write(JSON.stringify(out) + '\n')
-    } else {
+    const code = ERROR_CODES[err.code] ? err.code : 'ESTEP'
+    const exitCode = exitCodeOf(code)
+    if (!json) {
       const msg = colorOn
         ? chalk.red.bold(`\nHa ocurrido un error: ${err.message}`)
         : `\nHa ocurrido un error: ${err.message}`
       console.error(msg)
+      const detail = `Código: ${code} (salida ${exitCode})${err.step ? `, paso: ${err.step}` : ''}`
+      console.error(colorOn ? chalk.gray(detail) : detail)
+    }
+
+    // Rollback: con la bandera se ejecuta siempre; en modo interactivo se pregunta
+    let rollbackResults = null
+    let doRollback = rollbackOnFailure
+    if (!doRollback && interactive && rollback.size > 0) {
+      const confirmed = await p.confirm({
+        message: '¿Deshacer los cambios realizados (proyecto, contenedores, base de datos)?',
+        initialValue: false,
+      })
+      doRollback = confirmed === true
+    }
+    if (doRollback) {
+      // El rollback puede borrar el proyecto: el log vuelve a la caché del usuario
+      try {
+        await runLog?.moveTo(cacheLogDir())
+      } catch {}
+      rollbackResults = await rollback.runAll()
+      if (!json) {
+        for (const r of rollbackResults) {
+          const line = `  ${r.status === 'error' ? '✖' : r.status === 'skipped' ? '-' : '✔'} ${r.message}`
+          const out = colorOn ? (r.status === 'error' ? chalk.red(line) : chalk.gray(line)) : line
+          console.error(out)
+        }
+      }
+    }
+    const projectRemoved = Boolean(
+      rollbackResults?.some(r => r.name === 'remove_project_dir' && r.status === 'success'),
+    )
+
+    if (json) {
+      writeDocument(
+        documentOf({
+          status: 'error',
+          input: maskedInput,
+          tasks: tasksOf(events),
+          error: { message: err.message, code, step: err.step || null, exitCode },
+          checkpoint: projectPath && !projectRemoved ? checkpointPathOf(projectPath) : null,
+          rollback: rollbackResults,
+          log: runLog?.path ?? null,
+          metrics: metricsOf(totalMs),
+        }),
+      )
+    } else {
+      if (runLog) {
+        const logLine = `Log completo: ${runLog.path}`
+        console.error(colorOn ? chalk.gray(logLine) : logLine)
+      }
+      if (projectPath && !projectRemoved) {
+        const hint = `Corrige el problema y reanuda con: create-laravel-filament create --resume "${projectPath}"`
+        console.error(colorOn ? chalk.yellow(hint) : hint)
+      }
     }
-    process.exit(1)
+    process.exit(exitCode)
   }
 }
@@ -0,0 +1,90 @@
+import chalk from 'chalk'
+import process from 'process'
+import { exitCodeOf } from '../utils/errors.js'
+import { executorFromEnv } from '../utils/executor.js'
+import { checkToolchain } from '../utils/toolchain.js'
+import { CLI_VERSION } from '../utils/version.js'
+
+const STATUS_LABELS = {
+  ok: 'OK',
+  missing: 'FALTA',
+  outdated: 'ANTIGUA',
+  error: 'ERROR',
+  warning: 'AVISO',
+}
+
+function colorize(status, text) {
+  if (status === 'ok') return chalk.green(text)
+  if (status === 'warning') return chalk.yellow(text)
+  return chalk.red.bold(text)
+}
+
+/**
+ * Tabla de texto con una fila por comprobación (las columnas se ajustan al contenido).
+ */
+function formatTable(checks, colorOn) {
+  const header = ['Herramienta', 'Versión', 'Mínima', 'Estado', 'Detalle']
+  const rows = checks.map(check => [
+    check.name,
+    check.version || '-',
+    check.minimum ? `${check.minimum} (${check.reason})` : '-',
+    STATUS_LABELS[check.status],
+    check.message || (check.required ? '' : 'opcional'),
+  ])
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)))
+  const line = row =>
+    row
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join('  ')
+      .trimEnd()
+
+  const lines = [colorOn ? chalk.bold(line(header)) : line(header)]
+  rows.forEach((row, i) => {
+    const status = checks[i].status
+    lines.push(colorOn ? line(row).replace(row[3], colorize(status, row[3])) : line(row))
+  })
+  return lines.join('\n')
+}
+
+/**
+ * Comando doctor: revisa las herramientas y puertos que necesita create (las mismas
+ * comprobaciones que su primer paso) y termina con el código de EPREREQ si falta algo requerido.
+ */
+export async function runDoctor(ctx = {}) {
+  const { json = false, color, env = 'herd', starterKit = 'react', db, dbHost, dbPort, runtime = {} } = ctx
+  const colorOn = !json && color !== false && Boolean(process.stdout.isTTY)
+
+  let executor
+  try {
+    executor = ctx.executor || executorFromEnv()
+  } catch (err) {
+    console.error(err.message)
+    process.exit(exitCodeOf('EINVAL'))
+  }
+  const { ok, checks } = await checkToolchain(executor, {
+    env,
+    starterKit,
+    db,
+    dbConn: dbHost || dbPort ? { host: dbHost, port: dbPort } : null,
+  })
+
+  if (json) {
+    process.stdout.write(
+      JSON.stringify({
+        command: 'doctor',
+        cliVersion: CLI_VERSION,
+        status: ok ? 'ok' : 'error',
+        environment: { tty: Boolean(runtime.tty), node: process.version, platform: process.platform },
+        input: { env, starterKit, db: db || null },
+        checks,
+      }) + '\n',
+    )
+  } else {
+    console.log(formatTable(checks, colorOn))
+    const summary = ok
+      ? 'Todo listo para crear un proyecto.'
+      : 'Faltan requisitos: corrige las filas marcadas antes de ejecutar create.'
+    console.log('\n' + (colorOn ? (ok ? chalk.green(summary) : chalk.red.bold(summary)) : summary))
+  }
+  process.exit(ok ? 0 : exitCodeOf('EPREREQ'))
+}
@@ -0,0 +1,765 @@
+import chalk from 'chalk'
+import { promises as fs } from 'fs'
+import path from 'path'
+import { BACKENDS, backendEnvOf, hasPhpExtension, migrationCreatesTable, PREDIS_PACKAGE } from '../utils/backends.js'
+import { COMPOSE_DOWN, COMPOSE_FILE, COMPOSE_UP, composeFileOf } from '../utils/compose.js'
+import { databaseExists, dropDatabase } from '../utils/database.js'
+import { cliError } from '../utils/errors.js'
+import {
+  detectTwoFactorColumnsInMigrations,
+  ensurePhpunitAppLocaleEn,
+  getProjectsDirectory,
+  maybeCreateSqliteDatabase,
+  patchUserFactoryTwoFactorDefaults,
+} from '../utils/project.js'
+import { SAIL_BIN, SAIL_UP, dockerRun, sailEnvOf, sailServicesOf } from '../utils/sail.js'
+import { DB_SERVERS, isServerDatabase } from '../utils/services.js'
+import { SUPABASE_STATUS, parseSupabaseStatus, supabaseConfigOf, supabaseEnvOf } from '../utils/supabase.js'
+import { FILAMENT_VERSION, checkToolchain } from '../utils/toolchain.js'
+
+/**
+ * Plantillas de archivos de configuración
+ */
+const PHPSTAN_TEMPLATE = `includes:
+    - vendor/larastan/larastan/extension.neon
+parameters:
+    paths:
+        - app/
+    level: 5`
+
+const PINT_TEMPLATE = `{
+  "preset": "laravel"
+}`
+
+const RECTOR_TEMPLATE = `<?php
+
+declare(strict_types=1);
+
+use Rector\\Config\\RectorConfig;
+use Rector\\Php83\\Rector\\ClassMethod\\AddOverrideAttributeToOverriddenMethodsRector;
+
+return RectorConfig::configure()
+    ->withPhpSets()
+    ->withSkip([
+        AddOverrideAttributeToOverriddenMethodsRector::class,
+    ])
+    ->withPaths([
+        __DIR__.'/app',
+    ])
+    ->withPreparedSets(
+        deadCode: true,
+        codeQuality: true,
+    );`
+
+/**
+ * Se autentica contra el servidor de base de datos con answers.dbConn (ver utils/dbcheck.js) para fallar
+ * antes de migrate con un error concreto. Si la base de datos no existe la crea (salvo que se
+ * haya rechazado en el asistente) y solo esa se elimina en el rollback.
+ */
+async function verifyDatabase(ctx) {
+  const { db, dbConn, dbCreate } = ctx.answers
+  const { label } = DB_SERVERS[db]
+  if (ctx.dryRun) {
+    ctx.record({
+      type: 'check',
+      command: `${db} ${dbConn.user}@${dbConn.host}:${dbConn.port}/${dbConn.name}`,
+      cwd: ctx.cwd(),
+    })
+    return
+  }
+
+  const check = await ctx.database('check')
+  const ok = check.status === 'ok'
+  ctx.event({
+    name: 'database_check',
+    status: ok ? 'success' : check.status === 'unknown_database' || check.status === 'error' ? 'warning' : 'error',
+    stdout: check.serverVersion ? `${check.message} (${label} ${check.serverVersion})` : check.message,
+  })
+  if (ok) return
+  // Protocolo o método de autenticación no soportado: la comprobación no es concluyente
+  if (check.status === 'error') return ctx.warn(check.message)
+  if (check.status !== 'unknown_database') throw cliError('EDB', check.message)
+  // Crear la base de datos exige permiso: la confirmación del asistente o --db-create
+  if (!dbCreate) throw cliError('EDB', `${check.message}. Créala antes de continuar o usa --db-create`)
+
+  const created = await ctx.database('create')
+  ctx.event({ name: 'database_create', status: created.status === 'ok' ? 'success' : 'error', stdout: created.message })
+  if (created.status !== 'ok')
+    throw cliError('EDB', `No se pudo crear la base de datos ${dbConn.name}: ${created.message}`)
+  ctx.onRollback({
+    name: 'drop_database',
+    description: `Eliminar la base de datos ${dbConn.name}`,
+    undo: async () => {
+      if (!(await databaseExists(db, dbConn, ctx.sh))) {
+        return { status: 'skipped', message: 'La base de datos ya no existe' }
+      }
+      const r = await dropDatabase(db, dbConn, ctx.sh)
+      if (r.status === 'error') throw new Error(r.stderr)
+    },
+  })
+}
+
+/**
+ * Comprueba que Redis responde en answers.redis (ver utils/dbcheck.js) antes de apuntar a él los
+ * backends. Si pide contraseña solo se avisa: REDIS_PASSWORD no se configura desde el CLI.
+ */
+async function verifyRedis(ctx) {
+  const { host, port } = ctx.answers.redis
+  if (ctx.dryRun) {
+    ctx.record({ type: 'check', command: `redis ${host}:${port}`, cwd: ctx.cwd() })
+    return
+  }
+
+  const check = await ctx.database('check', 'redis', { host, port })
+  const status = check.status === 'ok' ? 'success' : check.status === 'auth_failed' ? 'warning' : 'error'
+  ctx.event({ name: 'redis_check', status, stdout: check.message })
+  if (status === 'error') {
+    throw cliError('EPREREQ', `${check.message}. Inicia Redis o elige otro backend con --cache, --queue y --session`)
+  }
+  if (status === 'warning') ctx.warn(check.message)
+}
+
+/**
+ * Laravel habla con Redis mediante la extensión phpredis (REDIS_CLIENT=phpredis, su valor por
+ * defecto). Si `php -m` no la lista, se instala Predis, que es PHP puro, y se elige con REDIS_CLIENT.
+ */
+async function ensureRedisClient(ctx) {
+  const modules = await ctx.sh(['php', '-m'])
+  if (!ctx.dryRun && modules.status === 'success' && hasPhpExtension(modules.stdout, 'redis')) {
+    ctx.event({ name: 'phpredis', status: 'success', stdout: 'PHP tiene la extensión redis' })
+    return
+  }
+  const when = ctx.dryRun ? 'PHP no tiene la extensión redis' : undefined
+  await ctx.exec('composer_predis', ['composer', 'require', PREDIS_PACKAGE, '-q', '-n'], 'Fallo instalando Predis', {
+    network: true,
+    when,
+  })
+  if (ctx.dryRun) {
+    ctx.record({ type: 'env', path: path.join(ctx.projectPath, '.env'), values: { REDIS_CLIENT: 'predis' }, when })
+  } else {
+    await ctx.setEnv({ REDIS_CLIENT: 'predis' })
+  }
+}
+
+/**
+ * Estado de Supabase tras supabase start (ver utils/supabase.js): `supabase status -o json` o,
+ * si falla, los puertos de supabase/config.toml. En dry-run, null (valores por defecto).
+ */
+async function readSupabaseStatus(ctx) {
+  const r = await ctx.sh(SUPABASE_STATUS)
+  if (ctx.dryRun) return null
+  const status = r.status === 'success' ? parseSupabaseStatus(r.stdout) : null
+  const fallback = status ? null : await supabaseConfigOf(ctx.projectPath)
+  const found = status || fallback
+  // sin claves en el evento: el stdout de supabase status las incluye
+  ctx.event({
+    name: 'supabase_status',
+    status: status ? 'success' : 'warning',
+    stdout: found
+      ? `${status ? 'supabase status' : 'supabase/config.toml'}: API ${found.apiUrl}, DB ${new URL(found.dbUrl).host}`
+      : 'No se pudo leer el estado de Supabase; se usan los valores por defecto',
+    stderr: r.status === 'success' ? '' : r.stderr,
+  })
+  return found
+}
+
+/**
+ * Pasos incluidos en el CLI, en orden de ejecución. Los ids son estables: se usan en
+ * --skip/--only, en el checkpoint y en la salida JSON. Ver registry.js para el formato.
+ */
+export const BUILTIN_STEPS = [
+  {
+    id: 'doctor',
+    title: 'Requisitos (doctor)',
+    // mismas comprobaciones que el comando doctor, antes de tocar nada
+    run: async ctx => {
+      if (ctx.dryRun) {
+        ctx.record({ type: 'check', command: 'create-laravel-filament doctor', cwd: ctx.cwd() })
+        return
+      }
+      const { answers } = ctx
+      const { ok, checks } = await checkToolchain(
+        {
+          run: command => ctx.sh(command),
+          commandExists: name => ctx.ensureCommand(name),
+          portOpen: (host, port) => ctx.portOpen(host, port),
+        },
+        {
+          env: answers.env,
+          starterKit: answers.starterKit,
+          db: answers.db,
+          dbConn: answers.dbConn,
+          dbCompose: answers.dbCompose,
+          steps: answers.steps,
+        },
+      )
+      for (const check of checks) {
+        ctx.event({
+          name: `doctor_${check.id}`,
+          status: check.status === 'ok' ? 'success' : check.status === 'warning' ? 'warning' : 'error',
+          stdout: [check.version, check.message].filter(Boolean).join(' ') || check.status,
+        })
+      }
+      if (!ok) {
+        const failed = checks.filter(check => check.status !== 'ok' && check.status !== 'warning')
+        throw cliError(
+          'EPREREQ',
+          `Faltan requisitos: ${failed.map(check => `${check.name} (${check.message})`).join('; ')}. ` +
+            'Ejecuta create-laravel-filament doctor para ver el detalle.',
+        )
+      }
+    },
+  },
+  {
+    id: 'prechecks',
+    title: 'Prechequeos',
+    required: true,
+    dependsOn: ['doctor'],
+    run: async (ctx, task) => {
+      // Herd solo se exige en --env herd; con native basta el PHP del sistema
+      if (ctx.answers.env === 'herd') {
+        try {
+          await ctx.ensureCommand('herd')
+        } catch {
+          throw cliError('EPREREQ', 'Laravel Herd no parece estar instalado. Instálalo o usa --env native.')
+        }
+        if (!ctx.json && ctx.colorOn) task.output = chalk.green('herd OK')
+      }
+
+      // cambiar al directorio de proyectos (en dry-run no se crea)
+      ctx.chdir(ctx.dryRun ? ctx.answers.dir : await getProjectsDirectory(ctx.answers.env, ctx.answers.dir))
+
+      // registrar
+      ctx.event({ name: 'prechecks', status: 'success' })
+    },
+  },
+  {
+    id: 'scaffold',
+    title: 'Scaffold del proyecto',
+    required: true,
+    dependsOn: ['prechecks'],
+    // laravel new descarga el esqueleto y todas las dependencias de Composer y npm
+    timeout: 1800,
+    run: async ctx => {
+      const { projectName, starterKit, env } = ctx.answers
+      const target = path.join(ctx.cwd(), projectName)
+
+      // laravel installer (con Sail lo aporta la imagen de Docker)
+      let hasLaravel = true
+      if (env !== 'sail') {
+        try {
+          await ctx.ensureCommand('laravel')
+        } catch {
+          hasLaravel = false
+        }
+      }
+      if (!hasLaravel || (ctx.dryRun && env !== 'sail')) {
+        await ctx.exec(
+          'install_laravel_installer',
+          ['composer', 'global', 'require', 'laravel/installer', '-q', '-n'],
+          'Fallo al instalar Laravel Installer',
+          { when: 'laravel no está instalado', network: true },
+        )
+      }
+
+      // crear proyecto; si la carpeta no existía, el rollback puede eliminarla
+      const exists = file =>
+        fs
+          .access(file)
+          .then(() => true)
+          .catch(() => false)
+      const existed = await exists(target)
+      if (!existed) {
+        ctx.onRollback({
+          name: 'remove_project_dir',
+          description: `Eliminar el directorio ${target}`,
+          undo: async () => {
+            // No se puede borrar el directorio de trabajo actual en todas las plataformas
+            if (process.cwd().startsWith(target)) process.chdir(path.dirname(target))
+            await fs.rm(target, { recursive: true, force: true })
+          },
+        })
+      }
+      // con Sail, laravel new corre en un contenedor sin git: el repositorio se crea en el equipo
+      const laravelNew =
+        env === 'sail'
+          ? dockerRun(ctx.cwd(), ['laravel', 'new', projectName, `--${starterKit}`, '--pest', '--no-interaction'])
+          : ['laravel', 'new', projectName, `--${starterKit}`, '--git', '--pest', '--no-interaction']
+      // al reanudar un scaffold que falló después de laravel new (p. ej. git init con Sail), el
+      // proyecto ya está creado y laravel new no sobrescribe
+      if (ctx.projectPath === target && (await exists(path.join(target, 'artisan')))) {
+        ctx.event({ name: 'laravel_new', status: 'skipped', stdout: 'El proyecto ya existe (ejecución reanudada)' })
+      } else {
+        await ctx.exec('laravel_new', laravelNew, 'Fallo al crear el proyecto Laravel', {
+          network: true,
+          // un intento fallido deja el directorio a medias y laravel new no sobrescribe
+          beforeRetry: existed ? undefined : () => fs.rm(target, { recursive: true, force: true }),
+        })
+      }
+
+      ctx.setProjectPath(path.join(ctx.cwd(), projectName))
+      ctx.chdir(ctx.projectPath)
+      ctx.event({ name: 'chdir_project', status: 'success' })
+      if (env === 'sail') await ctx.exec('git_init', ['git', 'init', '-q'], 'Fallo al inicializar el repositorio Git')
+    },
+  },
+  {
+    id: 'database',
+    title: 'Base de datos y entorno',
+    dependsOn: ['scaffold'],
+    // el primer supabase start descarga las imágenes de Docker
+    timeout: 1800,
+    run: async ctx => {
+      const { answers } = ctx
+      const sail = answers.env === 'sail'
+      const server = !sail && isServerDatabase(answers.db)
+
+      // Conexión real antes de tocar el .env (con --db-compose, después de levantar el contenedor)
+      if (server && !answers.dbCompose) await verifyDatabase(ctx)
+
+      let supabase = null
+      if (answers.db === 'supabase') {
+        // node/npm
+        try {
+          await ctx.ensureCommand('node')
+        } catch {
+          throw cliError('EPREREQ', 'Node.js no está instalado. Requerido para Supabase.')
+        }
+        try {
+          await ctx.ensureCommand('npm')
+        } catch {
+          throw cliError('EPREREQ', 'npm no está instalado. Requerido para Supabase.')
+        }
+
+        // instalar supabase cli en el proyecto, comprobar docker e iniciar contenedores
+        await ctx.exec(
+          'npm_install_supabase_cli',
+          ['npm', 'install', 'supabase', '--save-dev'],
+          'Fallo al instalar Supabase CLI',
+          {
+            network: true,
+          },
+        )
+        await ctx.exec('docker_info', ['docker', 'info'], 'Docker no está en ejecución. Inícialo antes de continuar.', {
+          code: 'EPREREQ',
+        })
+        await ctx.exec('supabase_init', ['npx', 'supabase', 'init', '--yes'], 'Fallo al inicializar Supabase')
+        // supabase start puede dejar contenedores a medio levantar aunque falle
+        const projectPath = ctx.projectPath
+        ctx.onRollback({
+          name: 'supabase_stop',
+          description: 'Detener los contenedores de Supabase',
+          undo: async () => {
+            const r = await ctx.sh(['npx', 'supabase', 'stop', '--no-backup'], { cwd: projectPath })
+            if (r.status === 'error') throw new Error(r.stderr)
+          },
+        })
+        await ctx.exec('supabase_start', ['npx', 'supabase', 'start'], 'Fallo al iniciar Supabase', { network: true })
+        supabase = await readSupabaseStatus(ctx)
+      }
+
+      // Sail: docker-compose.yml con los servicios elegidos. sail:install reescribe las variables
+      // DB_* del .env, así que va antes de configurarlo
+      const sailServices = sail ? sailServicesOf(answers.db, answers.sailServices) : []
+      if (sail) {
+        await ctx.exec(
+          'sail_install',
+          dockerRun(ctx.projectPath, [
+            'php',
+            'artisan',
+            'sail:install',
+            `--with=${sailServices.length > 0 ? sailServices.join(',') : 'none'}`,
+            '--no-interaction',
+          ]),
+          'Fallo al instalar Laravel Sail',
+          { network: true },
+        )
+      }
+
+      // Configurar .env según DB
+      if (answers.db === 'sqlite') {
+        await ctx.setEnv({ DB_CONNECTION: 'sqlite' })
+        if (ctx.dryRun) await ctx.writeFile(path.join(ctx.projectPath, 'database', 'database.sqlite'), '')
+        else await maybeCreateSqliteDatabase(ctx.projectPath)
+      } else if (answers.db === 'supabase') {
+        // puertos reales (otro proyecto de Supabase puede ocupar los de por defecto) y claves de la API
+        await ctx.setEnv(supabaseEnvOf(supabase))
+      } else if (isServerDatabase(answers.db)) {
+        await ctx.setEnv({
+          DB_CONNECTION: DB_SERVERS[answers.db].connection,
+          DB_HOST: answers.dbConn.host,
+          DB_PORT: answers.dbConn.port,
+          DB_DATABASE: answers.dbConn.name,
+          DB_USERNAME: answers.dbConn.user,
+          DB_PASSWORD: answers.dbConn.password,
+        })
+      }
+
+      // App locale
+      await ctx.setEnv({ APP_LOCALE: 'es' })
+
+      // Los contenedores leen el .env al crearse: se levantan después de escribirlo. Desde aquí
+      // PHP, Composer y npm corren en Sail
+      if (sail) {
+        const envValues = sailEnvOf(sailServices)
+        if (Object.keys(envValues).length > 0) await ctx.setEnv(envValues)
+        const projectPath = ctx.projectPath
+        ctx.onRollback({
+          name: 'sail_down',
+          description: 'Detener y eliminar los contenedores y volúmenes de Sail',
+          undo: async () => {
+            const r = await ctx.sh([SAIL_BIN, 'down', '--volumes'], { cwd: projectPath })
+            if (r.status === 'error') throw new Error(r.stderr)
+          },
+        })
+        await ctx.exec('sail_up', SAIL_UP, 'Fallo al iniciar los contenedores de Sail', { network: true })
+        ctx.useSail()
+      }
+
+      // --db-compose: servicio con healthcheck; compose lee las credenciales del .env recién escrito
+      // y up --wait no termina hasta que está healthy, así que migrate ya puede conectarse
+      if (server && answers.dbCompose) {
+        await ctx.writeFile(path.join(ctx.projectPath, COMPOSE_FILE), composeFileOf(answers.db, answers.dbConn))
+        const projectPath = ctx.projectPath
+        ctx.onRollback({
+          name: 'compose_down',
+          description: `Detener y eliminar el contenedor y el volumen de ${COMPOSE_FILE}`,
+          undo: async () => {
+            const r = await ctx.sh(COMPOSE_DOWN, { cwd: projectPath })
+            if (r.status === 'error') throw new Error(r.stderr)
+          },
+        })
+        await ctx.exec('compose_up', COMPOSE_UP, `Fallo al levantar la base de datos con ${COMPOSE_FILE}`, {
+          network: true,
+          code: 'EDB',
+        })
+      }
+
+      // la imagen crea la base de datos al iniciar: solo queda comprobar las credenciales
+      if (server && answers.dbCompose) await verifyDatabase(ctx)
+    },
+    commands: [
+      // primer comando que se conecta a la base de datos
+      {
+        name: 'artisan_migrate',
+        command: ['php', 'artisan', 'migrate', '-n'],
+        error: 'Fallo al ejecutar migraciones',
+        code: 'EDB',
+      },
+    ],
+  },
+  {
+    id: 'backends',
+    title: 'Cache, colas y sesiones',
+    dependsOn: ['database'],
+    when: ({ answers }) => Boolean(answers.cache || answers.queue || answers.session),
+    run: async ctx => {
+      const { answers } = ctx
+      // con Sail, Redis es un contenedor más (sail up ya esperó a que estuviera sano)
+      const localRedis = answers.redis && answers.env !== 'sail'
+      if (localRedis) await verifyRedis(ctx)
+      await ctx.setEnv({
+        ...backendEnvOf(answers),
+        ...(localRedis && { REDIS_HOST: answers.redis.host, REDIS_PORT: answers.redis.port }),
+      })
+      // la imagen de Sail ya trae phpredis
+      if (localRedis) await ensureRedisClient(ctx)
+
+      // con 'database', la migración de la tabla solo si el esqueleto no la trae
+      let generated = false
+      for (const [key, backend] of Object.entries(BACKENDS)) {
+        if (answers[key] !== 'database') continue
+        if (!ctx.dryRun && (await migrationCreatesTable(ctx.projectPath, backend.table))) {
+          ctx.event({
+            name: `${backend.table}_table`,
+            status: 'skipped',
+            stdout: `Ya existe la migración de la tabla ${backend.table}`,
+          })
+          continue
+        }
+        await ctx.exec(
+          `artisan_${backend.command.replace(/[:-]/g, '_')}`,
+          ['php', 'artisan', backend.command, '-n'],
+          `Fallo al crear la migración de la tabla ${backend.table}`,
+          { when: ctx.dryRun ? `no hay migración de la tabla ${backend.table}` : undefined },
+        )
+        generated = true
+      }
+      if (generated) {
+        await ctx.exec(
+          'artisan_migrate_backends',
+          ['php', 'artisan', 'migrate', '-n'],
+          'Fallo al ejecutar migraciones',
+          {
+            code: 'EDB',
+            when: ctx.dryRun ? 'se generó alguna migración' : undefined,
+          },
+        )
+      }
+    },
+    commands: [
+      {
+        name: 'composer_horizon',
+        command: ['composer', 'require', 'laravel/horizon', '-q', '-n'],
+        error: 'Fallo instalando Laravel Horizon',
+        network: true,
+        when: ({ answers }) => answers.horizon,
+      },
+      {
+        name: 'artisan_horizon_install',
+        command: ['php', 'artisan', 'horizon:install', '-n', '-q'],
+        error: 'Fallo configurando Laravel Horizon',
+        when: ({ answers }) => answers.horizon,
+      },
+    ],
+  },
+  {
+    id: '2fa-patch',
+    title: 'Parche 2FA (UserFactory)',
+    dependsOn: ['scaffold'],
+    run: async ctx => {
+      if (ctx.dryRun) {
+        const factoryPath = path.join(ctx.projectPath, 'database', 'factories', 'UserFactory.php')
+        ctx.record({ type: 'file', path: factoryPath, content: null, when: 'migraciones con columnas two_factor_*' })
+        return
+      }
+      const has2fa = await detectTwoFactorColumnsInMigrations(ctx.projectPath)
+      ctx.event({
+        name: 'detect_two_factor_migration',
+        status: has2fa ? 'success' : 'skipped',
+        stdout: has2fa ? '2FA columns detected' : 'No 2FA columns detected',
+      })
+      if (!has2fa) return
+      const patch = await patchUserFactoryTwoFactorDefaults(ctx.projectPath)
+      ctx.event({
+        name: 'patch_user_factory_2fa',
+        status: patch.patched ? 'success' : 'skipped',
+        stdout: patch.patched ? 'UserFactory patched' : `Skipped (${patch.reason})`,
+      })
+    },
+  },
+  {
+    id: 'filament',
+    title: 'Filament',
+    dependsOn: ['database'],
+    commands: [
+      {
+        name: 'composer_filament',
+        command: [
+          'composer',
+          'require',
+          `filament/filament:^${FILAMENT_VERSION}.0`,
+          '--with-all-dependencies',
+          '-q',
+          '-n',
+        ],
+        error: 'Fallo instalando Filament',
+        network: true,
+      },
+      {
+        name: 'artisan_filament_install',
+        command: ['php', 'artisan', 'filament:install', '--panels', '-n', '-q'],
+        error: 'Fallo configurando Filament',
+      },
+      {
+        name: 'artisan_filament_user',
+        command: ({ answers }) => [
+          'php',
+          'artisan',
+          'make:filament-user',
+          `--name=${answers.filament.name}`,
+          `--email=${answers.filament.email}`,
+          `--password=${answers.filament.password}`,
+        ],
+        error: 'Fallo creando usuario de Filament',
+      },
+      {
+        name: 'artisan_filament_resource_user',
+        command: ['php', 'artisan', 'make:filament-resource', 'User', '--generate', '-n', '-q'],
+        error: 'Fallo creando Resource User',
+      },
+    ],
+  },
+  {
+    id: 'pest',
+    title: 'Pruebas (Pest)',
+    dependsOn: ['scaffold'],
+    commands: [
+      {
+        name: 'pest_install',
+        // cadena de alternativas según la versión de Pest: necesita la shell (sin datos del usuario)
+        command: 'php artisan pest:install -n -q || composer exec -q pest -- --init || vendor/bin/pest --init',
+        shell: true,
+        error: 'Fallo configurando Pest',
+      },
+    ],
+  },
+  {
+    id: 'devtools',
+    title: 'Herramientas de desarrollo',
+    dependsOn: ['scaffold'],
+    commands: [
+      {
+        name: 'composer_laravel_boost',
+        command: ['composer', 'require', 'laravel/boost', '--dev', '-q', '-n'],
+        error: 'Fallo instalando Laravel Boost',
+        network: true,
+      },
+      {
+        name: 'artisan_boost_install',
+        command: ['php', 'artisan', 'boost:install', '-q', '-n'],
+        error: 'Fallo configurando Laravel Boost',
+      },
+      {
+        name: 'composer_larastan',
+        command: ['composer', 'require', 'larastan/larastan:^3.0', '--dev', '-q'],
+        error: 'Fallo instalando Larastan',
+        network: true,
+      },
+      {
+        name: 'composer_debugbar',
+        command: ['composer', 'require', 'barryvdh/laravel-debugbar', '--dev', '-q'],
+        error: 'Fallo instalando Debugbar',
+        network: true,
+      },
+      {
+        name: 'composer_laravel_lang',
+        command: ['composer', 'require', 'laravel-lang/common', '-q'],
+        error: 'Fallo instalando Laravel Lang',
+        network: true,
+      },
+    ],
+    files: [{ path: 'phpstan.neon', content: PHPSTAN_TEMPLATE }],
+  },
+  {
+    id: 'quality',
+    title: 'Calidad de código',
+    dependsOn: ['scaffold'],
+    commands: [
+      {
+        name: 'composer_pint',
+        command: ['composer', 'require', 'laravel/pint', '--dev', '-q'],
+        error: 'Fallo instalando Pint',
+        network: true,
+      },
+      {
+        name: 'composer_rector',
+        command: ['composer', 'require', 'rector/rector', '--dev', '-q'],
+        error: 'Fallo instalando Rector',
+        network: true,
+      },
+    ],
+    files: [
+      { path: 'pint.json', content: PINT_TEMPLATE },
+      { path: 'rector.php', content: RECTOR_TEMPLATE },
+    ],
+  },
+  {
+    id: 'essentials',
+    title: 'Essentials',
+    dependsOn: ['scaffold'],
+    commands: [
+      {
+        name: 'composer_essentials',
+        command: ['composer', 'require', 'nunomaduro/essentials', '-q', '-n'],
+        error: 'Fallo instalando Essentials',
+        network: true,
+      },
+      {
+        name: 'artisan_vendor_publish_essentials',
+        command: ['php', 'artisan', 'vendor:publish', '--tag=essentials-config', '-n', '-q'],
+        error: 'Fallo publicando configuración de Essentials',
+      },
+    ],
+  },
+  {
+    id: 'frontend',
+    title: 'Frontend (Node + Vite)',
+    dependsOn: ['scaffold'],
+    requires: [
+      { command: 'node', error: 'Node.js no está instalado.' },
+      { command: 'npm', error: 'npm no está instalado.' },
+    ],
+    commands: [
+      { name: 'npm_install', command: ['npm', 'install'], error: 'Fallo en npm install', network: true },
+      {
+        name: 'npm_install_vite_react',
+        command: ['npm', 'install', '@vitejs/plugin-react', '--save-dev'],
+        error: 'Fallo instalando plugin Vite React',
+        network: true,
+        when: ({ answers }) => answers.starterKit === 'react',
+      },
+      {
+        name: 'npm_install_vite_vue',
+        command: ['npm', 'install', '@vitejs/plugin-vue', '--save-dev'],
+        error: 'Fallo instalando plugin Vite Vue',
+        network: true,
+        when: ({ answers }) => answers.starterKit === 'vue',
+      },
+      // los plugins de Vite de Laravel (wayfinder) ejecutan artisan durante el build
+      {
+        name: 'npm_run_build',
+        command: ['npm', 'run', 'build'],
+        error: 'Fallo construyendo assets con Vite',
+        lock: 'php',
+      },
+    ],
+  },
+  {
+    id: 'i18n',
+    title: 'Localización ES',
+    // lang:add lo aporta laravel-lang/common (devtools)
+    dependsOn: ['devtools'],
+    commands: [
+      {
+        name: 'artisan_lang_add',
+        command: ['php', 'artisan', 'lang:add', 'es', '-n', '-q'],
+        error: 'Fallo agregando idioma es',
+      },
+      {
+        name: 'artisan_lang_update',
+        command: ['php', 'artisan', 'lang:update', '-q', '-n'],
+        error: 'Fallo actualizando traducciones',
+      },
+    ],
+  },
+  {
+    id: 'quality-gate',
+    title: 'Pruebas y calidad (pre-commit)',
+    dependsOn: ['backends', '2fa-patch', 'filament', 'pest', 'devtools', 'quality', 'essentials', 'frontend', 'i18n'],
+    run: async ctx => {
+      if (ctx.dryRun) {
+        const phpunitPath = path.join(ctx.projectPath, 'phpunit.xml')
+        ctx.record({ type: 'file', path: phpunitPath, content: null, when: 'phpunit.xml existe' })
+      } else {
+        await ensurePhpunitAppLocaleEn(ctx.projectPath)
+      }
+    },
+    commands: [
+      { name: 'phpstan', command: ['php', 'vendor/bin/phpstan'], error: 'PHPStan falló', code: 'EQUALITY' },
+      { name: 'pest', command: ['php', 'vendor/bin/pest'], error: 'Pest falló', code: 'EQUALITY' },
+      { name: 'pint', command: ['php', 'vendor/bin/pint'], error: 'Pint falló', code: 'EQUALITY' },
+      { name: 'rector', command: ['php', 'vendor/bin/rector', 'process'], error: 'Rector falló', code: 'EQUALITY' },
+    ],
+  },
+  {
+    id: 'git',
+    title: 'Git',
+    dependsOn: ['quality-gate'],
+    commands: [
+      { name: 'git_add', command: ['git', 'add', '.'], error: 'Fallo en git add' },
+      {
+        name: 'git_commit',
+        command: ({ dbLabel }) => [
+          'git',
+          'commit',
+          '-m',
+          `✨ Filament + ${dbLabel} instalados: Configuración inicial por fases con starter kit y herramientas`,
+        ],
+        error: 'Fallo en git commit',
+      },
+    ],
+  },
+]
+
+export const STEP_IDS = BUILTIN_STEPS.map(step => step.id)
@@ -0,0 +1,253 @@
+import { promises as fs } from 'fs'
+import { createRequire } from 'module'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { cliError, ERROR_CODES } from '../utils/errors.js'
+import { formatCommand } from '../utils/run.js'
+
+/**
+ * Registro declarativo de pasos.
+ *
+ * Un paso es un objeto plano:
+ *   id         id estable (minúsculas, números y guiones)
+ *   title      título mostrado por Listr
+ *   required   no puede omitirse con --skip/--only (salvo al reanudar)
+ *   dependsOn  ids que deben ejecutarse antes
+ *   before     ids que deben ejecutarse después (útil para plugins)
+ *   when       (ctx) => boolean; si devuelve false el paso se reporta como skipped
+ *   timeout    segundos máximos de cada comando del paso (por defecto DEFAULT_STEP_TIMEOUT)
+ *   requires   binarios necesarios: 'git' o { command, error }
+ *   run        (ctx, task) => Promise; lógica propia, se ejecuta antes de commands
+ *   commands   [{ name, command, error, code, when, lock, network, shell }]; command es un arreglo
+ *              [ejecutable, ...args] o (ctx) => arreglo, sin shell: los argumentos llegan literales.
+ *              Solo con shell: true se admite un string (operadores ||, &&, redirecciones);
+ *              lock: recursos extra que el comando usa en exclusiva (ver resourcesOf en utils/locks.js);
+ *              network: depende de la red y se reintenta según --retries / --retry-delay;
+ *              code: código de error si falla (ver utils/errors.js; por defecto EINSTALL con network, si no ESTEP)
+ *   files      [{ path, content }]; path relativo al proyecto, content puede ser (ctx) => string
+ *
+ * ctx es el contexto compartido que construye runCreate (answers, projectPath, exec, sh,
+ * ensureCommand, writeFile, setEnv, event, warn, record, ...).
+ *
+ * Los pasos cuyas dependencias ya terminaron se ejecutan a la vez, así que un paso no debe
+ * cambiar el directorio de trabajo (salvo prechecks/scaffold). Los comandos composer/php y npm
+ * se serializan solos; un comando que lea vendor/ por otra vía debe declarar lock: 'php'.
+ */
+
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/
+
+// Un comando que supera este tiempo (en segundos) se da por colgado
+export const DEFAULT_STEP_TIMEOUT = 900
+
+// Los plugins sin posición explícita se ejecutan tras el scaffold y antes del quality gate y del commit inicial
+const PLUGIN_DEFAULT_DEPENDS_ON = ['scaffold']
+const PLUGIN_DEFAULT_BEFORE = ['quality-gate', 'git']
+
+function asList(value) {
+  if (value == null) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+function isCommand(command, shell) {
+  if (typeof command === 'function') return true
+  if (typeof command === 'string') return shell === true
+  return Array.isArray(command) && command.length > 0 && command.every(arg => typeof arg === 'string')
+}
+
+/**
+ * Valida la forma de un paso y normaliza sus listas. Lanza Error con el origen del paso.
+ */
+export function validateStep(step, source = 'builtin') {
+  const fail = reason => {
+    throw new Error(`Paso inválido (${source}${step?.id ? `: ${step.id}` : ''}): ${reason}`)
+  }
+  if (!step || typeof step !== 'object') fail('debe ser un objeto')
+  if (typeof step.id !== 'string' || !ID_RE.test(step.id)) fail('id requerido (minúsculas, números y guiones)')
+  if (typeof step.title !== 'string' || !step.title.trim()) fail('title requerido')
+  if (step.when != null && typeof step.when !== 'function') fail('when debe ser una función')
+  if (step.run != null && typeof step.run !== 'function') fail('run debe ser una función')
+  if (step.timeout != null && !(Number.isFinite(step.timeout) && step.timeout >= 0)) {
+    fail('timeout debe ser un número de segundos (0 lo desactiva)')
+  }
+
+  const commands = asList(step.commands)
+  for (const cmd of commands) {
+    if (!cmd || !isCommand(cmd.command, cmd.shell)) {
+      fail('cada comando necesita "command": arreglo [ejecutable, ...args], función o string con shell: true')
+    }
+    if (cmd.code != null && !ERROR_CODES[cmd.code]?.step) fail(`código de error desconocido: ${cmd.code}`)
+  }
+  const files = asList(step.files)
+  for (const file of files) {
+    if (!file || typeof file.path !== 'string' || path.isAbsolute(file.path)) {
+      fail('cada archivo necesita "path" relativo al proyecto')
+    }
+    if (typeof file.content !== 'string' && typeof file.content !== 'function') {
+      fail(`el archivo ${file.path} necesita "content" (string o función)`)
+    }
+  }
+  if (!step.run && commands.length === 0 && files.length === 0) fail('debe definir run, commands o files')
+
+  return {
+    ...step,
+    source,
+    required: Boolean(step.required),
+    dependsOn: asList(step.dependsOn),
+    before: asList(step.before),
+    requires: asList(step.requires).map(r => (typeof r === 'string' ? { command: r } : r)),
+    commands,
+    files,
+  }
+}
+
+/**
+ * Calcula, para cada paso, los ids que deben terminar antes (dependsOn y before de otros pasos).
+ * Con env 'sail', lo que sigue a scaffold también espera a database, que levanta los contenedores.
+ */
+export function prerequisitesOf(steps, { env } = {}) {
+  const byId = new Map()
+  for (const step of steps) {
+    if (byId.has(step.id)) throw new Error(`Paso duplicado: ${step.id} (${step.source})`)
+    byId.set(step.id, step)
+  }
+
+  const prerequisites = new Map(steps.map(step => [step.id, new Set()]))
+  for (const step of steps) {
+    for (const dep of step.dependsOn) {
+      if (!byId.has(dep)) throw new Error(`El paso ${step.id} depende de un paso inexistente: ${dep}`)
+      prerequisites.get(step.id).add(dep)
+    }
+    for (const next of step.before) {
+      // before hacia pasos ausentes no es un error: el plugin puede cargarse con otro pipeline
+      if (byId.has(next)) prerequisites.get(next).add(step.id)
+    }
+  }
+  if (env === 'sail' && byId.has('database')) {
+    for (const [id, deps] of prerequisites) if (id !== 'database' && deps.has('scaffold')) deps.add('database')
+  }
+  return prerequisites
+}
+
+/**
+ * Ordena los pasos respetando dependsOn/before (y las esperas de env, ver prerequisitesOf). A
+ * igualdad, se conserva el orden de registro. Lanza Error si hay dependencias circulares.
+ */
+export function orderSteps(steps, { env } = {}) {
+  const prerequisites = prerequisitesOf(steps, { env })
+  const ordered = []
+  const done = new Set()
+  while (ordered.length < steps.length) {
+    const ready = steps.find(step => !done.has(step.id) && [...prerequisites.get(step.id)].every(dep => done.has(dep)))
+    if (!ready) {
+      const pending = steps.filter(step => !done.has(step.id)).map(step => step.id)
+      throw new Error(`Dependencias circulares entre pasos: ${pending.join(', ')}`)
+    }
+    ordered.push(ready)
+    done.add(ready.id)
+  }
+  return ordered
+}
+
+/**
+ * Límite de tiempo de los comandos de un paso, en ms (0 = sin límite). Precedencia: override
+ * del archivo de configuración (stepTimeouts), --step-timeout, timeout del paso y el valor por defecto.
+ */
+export function stepTimeoutMs(step, { flag, overrides = {} } = {}) {
+  const override = overrides[step.id]
+  const seconds = Number.isFinite(override) ? override : (flag ?? step.timeout ?? DEFAULT_STEP_TIMEOUT)
+  return seconds > 0 ? seconds * 1000 : 0
+}
+
+/**
+ * Resuelve --skip / --only contra el pipeline. Devuelve los ids a ejecutar o un error.
+ * --only incluye siempre los pasos obligatorios; solo --skip puede dejarlos fuera.
+ */
+export function selectSteps(pipeline, { skip, only } = {}) {
+  const ids = pipeline.map(step => step.id)
+  const requested = only || skip || []
+  const unknown = requested.filter(id => !ids.includes(id))
+  if (unknown.length > 0) {
+    return { error: `Pasos desconocidos: ${unknown.join(', ')}. Disponibles: ${ids.join(', ')}` }
+  }
+  const steps = only
+    ? pipeline.filter(step => step.required || only.includes(step.id)).map(step => step.id)
+    : ids.filter(id => !requested.includes(id))
+  return { steps }
+}
+
+/**
+ * Resuelve un especificador de plugin (ruta o paquete) a una ruta absoluta.
+ */
+export function resolvePluginSpec(spec, baseDir = process.cwd()) {
+  if (spec.startsWith('.') || path.isAbsolute(spec)) return path.resolve(baseDir, spec)
+  try {
+    return createRequire(path.join(baseDir, 'noop.js')).resolve(spec)
+  } catch {
+    throw new Error(`No se encontró el plugin "${spec}" desde ${baseDir}`)
+  }
+}
+
+/**
+ * Carga los pasos de los plugins. Cada módulo exporta `steps` o un default con
+ * un arreglo de pasos o un objeto { steps }.
+ */
+export async function loadPlugins(specs = []) {
+  const steps = []
+  for (const file of specs) {
+    try {
+      await fs.access(file)
+    } catch {
+      throw new Error(`No existe el plugin: ${file}`)
+    }
+    let mod
+    try {
+      mod = await import(pathToFileURL(file).href)
+    } catch (err) {
+      throw new Error(`No se pudo cargar el plugin ${file}: ${err.message}`)
+    }
+    const exported = mod.steps ?? mod.default?.steps ?? mod.default
+    if (!Array.isArray(exported)) throw new Error(`El plugin ${file} no exporta un arreglo de pasos`)
+    for (const step of exported) {
+      const normalized = validateStep(step, file)
+      if (normalized.dependsOn.length === 0) normalized.dependsOn = PLUGIN_DEFAULT_DEPENDS_ON
+      if (normalized.before.length === 0) normalized.before = PLUGIN_DEFAULT_BEFORE
+      steps.push(normalized)
+    }
+  }
+  return steps
+}
+
+/**
+ * Ejecuta un paso: binarios requeridos, run, comandos y archivos, en ese orden.
+ */
+export async function runStep(step, ctx, task) {
+  for (const req of step.requires) {
+    try {
+      await ctx.ensureCommand(req.command)
+    } catch {
+      throw cliError('EPREREQ', req.error || `${req.command} no está instalado.`, step.id)
+    }
+  }
+
+  if (step.run) await step.run(ctx, task)
+
+  for (const cmd of step.commands) {
+    if (cmd.when && !cmd.when(ctx)) continue
+    const command = typeof cmd.command === 'function' ? cmd.command(ctx) : cmd.command
+    if (!isCommand(command, cmd.shell)) {
+      throw new Error(`Comando inválido en el paso ${step.id}: se esperaba un arreglo [ejecutable, ...args]`)
+    }
+    const error = cmd.error || `Fallo ejecutando: ${formatCommand(command)}`
+    await ctx.exec(cmd.name || `${step.id}_command`, command, error, {
+      code: cmd.code,
+      lock: cmd.lock,
+      network: Boolean(cmd.network),
+      shell: cmd.shell === true,
+    })
+  }
+
+  for (const file of step.files) {
+    const content = typeof file.content === 'function' ? file.content(ctx) : file.content
+    await ctx.writeFile(path.join(ctx.projectPath, file.path), content)
+  }
+}
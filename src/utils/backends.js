@@ -0,0 +1,76 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+
+/**
+ * Backends de cache, colas y sesiones (--cache, --queue, --session): variable de .env que
+ * elige cada uno y, con 'database', la tabla que necesita y el comando que crea su migración.
+ * Laravel no tiene colas en archivos: la opción sin servidor es sync (el job se ejecuta al
+ * despacharlo).
+ */
+export const BACKENDS = {
+  cache: {
+    label: 'Cache',
+    env: 'CACHE_STORE',
+    choices: ['redis', 'database', 'file'],
+    table: 'cache',
+    command: 'make:cache-table',
+  },
+  queue: {
+    label: 'Colas',
+    env: 'QUEUE_CONNECTION',
+    choices: ['redis', 'database', 'sync'],
+    table: 'jobs',
+    command: 'make:queue-table',
+  },
+  session: {
+    label: 'Sesiones',
+    env: 'SESSION_DRIVER',
+    choices: ['redis', 'database', 'file'],
+    table: 'sessions',
+    command: 'make:session-table',
+  },
+}
+
+export const REDIS_PORT = '6379'
+
+// Cliente de Redis en PHP puro, para cuando PHP no tiene la extensión redis (phpredis)
+export const PREDIS_PACKAGE = 'predis/predis'
+
+export function usesRedis(answers) {
+  return Object.keys(BACKENDS).some(key => answers[key] === 'redis')
+}
+
+/**
+ * Variables de .env para los backends elegidos (los que no se eligieron quedan como los deja
+ * Laravel).
+ */
+export function backendEnvOf(answers) {
+  const values = {}
+  for (const [key, backend] of Object.entries(BACKENDS)) {
+    if (answers[key]) values[backend.env] = answers[key]
+  }
+  return values
+}
+
+/**
+ * Indica si la salida de `php -m` lista la extensión (una por línea, sin distinguir mayúsculas).
+ */
+export function hasPhpExtension(modules, name) {
+  return modules.split(/\r?\n/).some(line => line.trim().toLowerCase() === name.toLowerCase())
+}
+
+/**
+ * Indica si alguna migración del proyecto crea la tabla (los esqueletos de Laravel 11+ ya
+ * incluyen cache, jobs y sessions; generarla otra vez rompería migrate).
+ */
+export async function migrationCreatesTable(projectPath, table) {
+  const migrationsDir = path.join(projectPath, 'database', 'migrations')
+  const pattern = new RegExp(`Schema::create\\(\\s*['"]${table}['"]`)
+  try {
+    for (const entry of await fs.readdir(migrationsDir, { withFileTypes: true })) {
+      if (!entry.isFile() || !entry.name.endsWith('.php')) continue
+      if (pattern.test(await fs.readFile(path.join(migrationsDir, entry.name), 'utf8'))) return true
+    }
+  } catch {}
+  return false
+}
@@ -0,0 +1,92 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+
+export const STATE_DIR = '.create-laravel-filament'
+const CHECKPOINT_FILE = 'checkpoint.json'
+const CHECKPOINT_VERSION = 1
+
+/**
+ * Ruta del checkpoint dentro de un proyecto.
+ */
+export function checkpointPathOf(projectPath) {
+  return path.join(projectPath, STATE_DIR, CHECKPOINT_FILE)
+}
+
+/**
+ * Crea la carpeta de estado del CLI en el proyecto. Incluye un .gitignore propio
+ * para que el commit inicial no arrastre checkpoints ni logs.
+ */
+export async function ensureStateDir(projectPath) {
+  const dir = path.join(projectPath, STATE_DIR)
+  await fs.mkdir(dir, { recursive: true })
+  await fs.writeFile(path.join(dir, '.gitignore'), '*\n')
+  return dir
+}
+
+// Contraseñas de las respuestas que nunca se escriben en disco
+const SECRETS = {
+  dbPassword: 'dbConn',
+  filamentPassword: 'filament',
+}
+
+/**
+ * Guarda respuestas y pasos completados para poder reanudar con --resume. Las contraseñas se
+ * guardan como null y redacted lista las que había, para volver a pedirlas al reanudar.
+ */
+export async function writeCheckpoint(projectPath, { answers, completed = [], failed = null }) {
+  await ensureStateDir(projectPath)
+  const stored = { ...answers }
+  const redacted = []
+  for (const [key, field] of Object.entries(SECRETS)) {
+    if (!answers[field]?.password) continue
+    stored[field] = { ...answers[field], password: null }
+    redacted.push(key)
+  }
+  const data = {
+    version: CHECKPOINT_VERSION,
+    updatedAt: new Date().toISOString(),
+    projectPath,
+    answers: stored,
+    redacted,
+    completed,
+    failed,
+  }
+  await fs.writeFile(checkpointPathOf(projectPath), JSON.stringify(data, null, 2))
+}
+
+/**
+ * Lee un checkpoint. Acepta la ruta del proyecto o la del propio archivo.
+ */
+export async function readCheckpoint(target) {
+  const resolved = path.resolve(target)
+  let file = resolved
+  try {
+    const stat = await fs.stat(resolved)
+    if (stat.isDirectory()) file = checkpointPathOf(resolved)
+  } catch {
+    throw new Error(`No existe la ruta indicada para reanudar: ${resolved}`)
+  }
+
+  let data
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'))
+  } catch {
+    throw new Error(`No se encontró un checkpoint válido en ${file}`)
+  }
+  if (data.version !== CHECKPOINT_VERSION || !data.answers || !Array.isArray(data.completed)) {
+    throw new Error(`Checkpoint con formato no soportado: ${file}`)
+  }
+  // El proyecto pudo moverse de carpeta desde la ejecución original
+  const projectPath =
+    path.basename(path.dirname(file)) === STATE_DIR ? path.dirname(path.dirname(file)) : data.projectPath
+  return { ...data, redacted: data.redacted || [], projectPath }
+}
+
+/**
+ * Elimina el checkpoint tras una instalación completa.
+ */
+export async function removeCheckpoint(projectPath) {
+  try {
+    await fs.rm(checkpointPathOf(projectPath), { force: true })
+  } catch {}
+}
@@ -0,0 +1,134 @@
+/**
+ * docker-compose.yml con la base de datos del proyecto (--db-compose), para cuando no hay un
+ * servidor MySQL, MariaDB, PostgreSQL o SQL Server en marcha. Las credenciales no se escriben en el archivo: Docker
+ * Compose las toma del .env del proyecto (DB_PORT, DB_DATABASE, DB_USERNAME, DB_PASSWORD).
+ */
+
+export const COMPOSE_FILE = 'docker-compose.yml'
+
+// docker compose up --wait espera a que el healthcheck del servicio pase a healthy
+export const COMPOSE_UP = ['docker', 'compose', 'up', '-d', '--wait', '--wait-timeout', '180']
+export const COMPOSE_DOWN = ['docker', 'compose', 'down', '--volumes']
+
+function mysqlService({ user, password }) {
+  // la imagen no admite MYSQL_USER=root: root se configura con MYSQL_ROOT_PASSWORD
+  const credentials =
+    user === 'root'
+      ? password
+        ? ['      MYSQL_ROOT_PASSWORD: "${DB_PASSWORD}"']
+        : ['      MYSQL_ALLOW_EMPTY_PASSWORD: "yes"']
+      : [
+          '      MYSQL_ROOT_PASSWORD: "${DB_PASSWORD}"',
+          '      MYSQL_USER: "${DB_USERNAME}"',
+          '      MYSQL_PASSWORD: "${DB_PASSWORD}"',
+        ]
+  return [
+    '  mysql:',
+    '    image: mysql:8.4',
+    '    ports:',
+    '      - "${DB_PORT:-3306}:3306"',
+    '    environment:',
+    '      MYSQL_DATABASE: "${DB_DATABASE}"',
+    ...credentials,
+    '    volumes:',
+    '      - db-data:/var/lib/mysql',
+    // por TCP: durante la inicialización la imagen arranca un servidor temporal sin red
+    '    healthcheck:',
+    '      test: ["CMD", "mysqladmin", "ping", "-h", "127.0.0.1", "--silent"]',
+    '      interval: 5s',
+    '      timeout: 5s',
+    '      retries: 20',
+  ]
+}
+
+function mariadbService({ user, password }) {
+  // como en mysql: root solo se configura con MARIADB_ROOT_PASSWORD
+  const credentials =
+    user === 'root'
+      ? password
+        ? ['      MARIADB_ROOT_PASSWORD: "${DB_PASSWORD}"']
+        : ['      MARIADB_ALLOW_EMPTY_ROOT_PASSWORD: "yes"']
+      : [
+          '      MARIADB_ROOT_PASSWORD: "${DB_PASSWORD}"',
+          '      MARIADB_USER: "${DB_USERNAME}"',
+          '      MARIADB_PASSWORD: "${DB_PASSWORD}"',
+        ]
+  return [
+    '  mariadb:',
+    '    image: mariadb:11',
+    '    ports:',
+    '      - "${DB_PORT:-3306}:3306"',
+    '    environment:',
+    '      MARIADB_DATABASE: "${DB_DATABASE}"',
+    ...credentials,
+    '    volumes:',
+    '      - db-data:/var/lib/mysql',
+    // script incluido en la imagen; --innodb_initialized espera a que termine la inicialización
+    '    healthcheck:',
+    '      test: ["CMD", "healthcheck.sh", "--connect", "--innodb_initialized"]',
+    '      interval: 5s',
+    '      timeout: 5s',
+    '      retries: 20',
+  ]
+}
+
+function postgresService() {
+  return [
+    '  pgsql:',
+    '    image: postgres:17',
+    '    ports:',
+    '      - "${DB_PORT:-5432}:5432"',
+    '    environment:',
+    '      POSTGRES_DB: "${DB_DATABASE}"',
+    '      POSTGRES_USER: "${DB_USERNAME}"',
+    '      POSTGRES_PASSWORD: "${DB_PASSWORD}"',
+    '    volumes:',
+    '      - db-data:/var/lib/postgresql/data',
+    '    healthcheck:',
+    '      test: ["CMD", "pg_isready", "-q", "-h", "127.0.0.1", "-d", "${DB_DATABASE}", "-U", "${DB_USERNAME}"]',
+    '      interval: 5s',
+    '      timeout: 5s',
+    '      retries: 20',
+  ]
+}
+
+function sqlsrvService() {
+  // la imagen solo crea la cuenta sa (su contraseña debe cumplir la política de SQL Server) y
+  // ninguna base de datos: el healthcheck la crea si falta, así que healthy implica que existe
+  return [
+    '  sqlsrv:',
+    '    image: mcr.microsoft.com/mssql/server:2022-latest',
+    '    ports:',
+    '      - "${DB_PORT:-1433}:1433"',
+    '    environment:',
+    '      ACCEPT_EULA: "Y"',
+    '      MSSQL_SA_PASSWORD: "${DB_PASSWORD}"',
+    '      DB_DATABASE: "${DB_DATABASE}"',
+    '    volumes:',
+    '      - db-data:/var/opt/mssql',
+    '    healthcheck:',
+    '      test:',
+    '        - CMD-SHELL',
+    `        - /opt/mssql-tools18/bin/sqlcmd -C -b -S localhost -U sa -P "$$MSSQL_SA_PASSWORD" -Q "IF DB_ID('$$DB_DATABASE') IS NULL CREATE DATABASE [$$DB_DATABASE]"`,
+    '      interval: 5s',
+    '      timeout: 10s',
+    '      retries: 30',
+  ]
+}
+
+const SERVICES = { mysql: mysqlService, mariadb: mariadbService, postgresql: postgresService, sqlsrv: sqlsrvService }
+
+/**
+ * Contenido de docker-compose.yml para db ('mysql', 'mariadb', 'postgresql' o 'sqlsrv') y la
+ * conexión elegida.
+ */
+export function composeFileOf(db, dbConn) {
+  return ['services:', ...SERVICES[db](dbConn), 'volumes:', '  db-data: {}', ''].join('\n')
+}
+
+/**
+ * La base de datos solo puede levantarse con Docker si se conecta a este equipo.
+ */
+export function isLocalHost(host) {
+  return !host || ['127.0.0.1', 'localhost', '::1', '0.0.0.0'].includes(host)
+}
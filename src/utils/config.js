@@ -0,0 +1,280 @@
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { BACKENDS } from './backends.js'
+
+export const CONFIG_FILE = '.create-laravel-filament.json'
+
+export const STARTER_KITS = ['react', 'vue', 'livewire']
+export const DATABASES = ['sqlite', 'supabase', 'mysql', 'mariadb', 'postgresql', 'sqlsrv']
+// herd: Laravel Herd sirve los proyectos de ~/Herd; native: PHP instalado en el sistema;
+// sail: contenedores de Laravel Sail (solo requiere Docker)
+export const ENVIRONMENTS = ['herd', 'native', 'sail']
+
+/**
+ * Opciones de create que pueden venir del archivo de configuración (o de un preset), con el
+ * mismo nombre que la bandera en camelCase y el tipo esperado.
+ */
+export const OPTION_TYPES = {
+  projectName: 'string',
+  env: ENVIRONMENTS,
+  dir: 'string',
+  sailServices: 'list',
+  starterKit: STARTER_KITS,
+  db: DATABASES,
+  dbHost: 'string',
+  dbPort: 'string',
+  dbName: 'string',
+  dbUser: 'string',
+  dbPassword: 'string',
+  dbPasswordFile: 'string',
+  dbCompose: 'boolean',
+  dbCreate: 'boolean',
+  cache: BACKENDS.cache.choices,
+  queue: BACKENDS.queue.choices,
+  session: BACKENDS.session.choices,
+  redisHost: 'string',
+  redisPort: 'string',
+  horizon: 'boolean',
+  herdDir: 'string',
+  filamentName: 'string',
+  filamentEmail: 'string',
+  filamentPassword: 'string',
+  filamentPasswordFile: 'string',
+  skip: 'list',
+  only: 'list',
+  rollbackOnFailure: 'boolean',
+  sequential: 'boolean',
+  retries: 'integer',
+  retryDelay: 'integer',
+  stepTimeout: 'integer',
+}
+
+// Contraseñas: se aceptan en el archivo, pero nunca se guardan en un preset desde el asistente
+const SECRET_OPTIONS = ['dbPassword', 'filamentPassword']
+
+// Opción de contraseña -> opción con la ruta del archivo que la contiene
+export const PASSWORD_FILE_OPTIONS = { dbPassword: 'dbPasswordFile', filamentPassword: 'filamentPasswordFile' }
+
+// Opciones excluyentes entre sí (las contraseñas y sus archivos, en resolvePasswordFiles)
+const EXCLUSIVE_OPTIONS = [
+  ['skip', 'only'],
+  ['dir', 'herdDir'],
+]
+
+// Opciones que se resuelven juntas: la capa más alta que define una de ellas (bandera, entorno o
+// configuración) decide todas las del grupo
+const OPTION_GROUPS = [...EXCLUSIVE_OPTIONS, ...Object.entries(PASSWORD_FILE_OPTIONS)]
+
+// dbPasswordFile -> --db-password-file
+export function flagOf(key) {
+  return '--' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())
+}
+
+// dbPasswordFile -> CLF_DB_PASSWORD_FILE
+export function envOf(key) {
+  return 'CLF_' + key.replace(/[A-Z]/g, c => '_' + c).toUpperCase()
+}
+
+/**
+ * Carga el archivo de configuración: el indicado con --config o, si no, el primero que exista
+ * en el directorio actual y luego en el home. Devuelve { file, data }; sin archivo, data es
+ * un objeto vacío.
+ */
+export async function loadConfig({ file: explicit, cwd = process.cwd(), home = os.homedir() } = {}) {
+  const candidates = explicit ? [path.resolve(cwd, explicit)] : [cwd, home].map(dir => path.join(dir, CONFIG_FILE))
+  for (const file of candidates) {
+    let raw
+    try {
+      raw = await fs.readFile(file, 'utf8')
+    } catch {
+      if (explicit) throw new Error(`No existe el archivo de configuración: ${file}`)
+      continue
+    }
+    try {
+      return { file, data: JSON.parse(raw) }
+    } catch (err) {
+      throw new Error(`Configuración inválida en ${file}: ${err.message}`)
+    }
+  }
+  return { file: null, data: {} }
+}
+
+function normalizeOption(key, value, source) {
+  const type = OPTION_TYPES[key]
+  const fail = expected => {
+    throw new Error(`Configuración inválida (${source}): "${key}" debe ser ${expected}`)
+  }
+  if (Array.isArray(type)) {
+    if (!type.includes(value)) fail(`uno de ${type.join(', ')}`)
+    return value
+  }
+  if (type === 'list') {
+    if (typeof value === 'string')
+      return value
+        .split(',')
+        .map(v => v.trim())
+        .filter(Boolean)
+    if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) fail('un arreglo de strings')
+    return value
+  }
+  if (type === 'integer') {
+    if (!Number.isInteger(value) || value < 0) fail('un entero mayor o igual que 0')
+    return value
+  }
+  if (type === 'boolean') {
+    if (typeof value !== 'boolean') fail('true o false')
+    return value
+  }
+  // dbPort admite número o string en el JSON
+  if (typeof value === 'number' && key === 'dbPort') return String(value)
+  if (typeof value !== 'string') fail('un string')
+  return value
+}
+
+function pickOptions(data, source) {
+  const options = {}
+  for (const [key, value] of Object.entries(data || {})) {
+    if (key in OPTION_TYPES && value != null) options[key] = normalizeOption(key, value, source)
+  }
+  return options
+}
+
+/**
+ * Opciones de create definidas en la configuración: las de la raíz del archivo y, encima, las
+ * del preset indicado (presets: { nombre: { ...opciones } }). Lanza Error si alguna tiene un
+ * tipo inválido o el preset no existe.
+ */
+export function configOptionsOf(config, preset) {
+  const { file, data } = config
+  const options = pickOptions(data, file)
+  if (!preset) return options
+  const presets = data.presets || {}
+  if (!Object.prototype.hasOwnProperty.call(presets, preset)) {
+    const available = Object.keys(presets)
+    throw new Error(
+      `No existe el preset "${preset}"${file ? ` en ${file}` : ' (no se encontró archivo de configuración)'}` +
+        (available.length > 0 ? `. Disponibles: ${available.join(', ')}` : ''),
+    )
+  }
+  const presetOptions = pickOptions(presets[preset], `${file}, preset ${preset}`)
+  // la selección de pasos del preset reemplaza la de la raíz (skip y only son excluyentes)
+  if ('skip' in presetOptions || 'only' in presetOptions) {
+    delete options.skip
+    delete options.only
+  }
+  return { ...options, ...presetOptions }
+}
+
+/**
+ * Límites de tiempo por paso del archivo de configuración (stepTimeouts: { id: segundos }). Lanza
+ * Error si no es un objeto, si nombra un paso que no está en stepIds o si algún valor no es un
+ * número de segundos mayor o igual que 0.
+ */
+export function stepTimeoutsOf(config, stepIds) {
+  const { file, data } = config
+  const timeouts = data.stepTimeouts
+  if (timeouts == null) return {}
+  const fail = reason => {
+    throw new Error(`Configuración inválida (${file}): ${reason}`)
+  }
+  if (typeof timeouts !== 'object' || Array.isArray(timeouts)) {
+    fail('"stepTimeouts" debe ser un objeto { "id del paso": segundos }')
+  }
+  for (const [id, seconds] of Object.entries(timeouts)) {
+    if (!stepIds.includes(id)) {
+      fail(`"stepTimeouts" incluye un paso desconocido: ${id}. Disponibles: ${stepIds.join(', ')}`)
+    }
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      fail(`"stepTimeouts.${id}" debe ser un número de segundos mayor o igual que 0`)
+    }
+  }
+  return timeouts
+}
+
+/**
+ * Combina banderas y configuración con la precedencia banderas > entorno > configuración >
+ * valores por defecto. sources es el origen de cada opción según commander ('cli', 'env',
+ * 'default' o undefined); sin él, un valor definido se trata como bandera explícita.
+ * Las opciones de un grupo (skip/only, contraseña/archivo de contraseña) se resuelven juntas: p. ej.
+ * --only en la línea de comandos ignora el skip del archivo, y --db-password-file ignora
+ * CLF_DB_PASSWORD.
+ */
+export function mergeOptions(flags, sources = {}, configOptions = {}) {
+  const layerOf = key => {
+    const source = sources[key]
+    if (source === 'cli' || source === 'env') return source
+    return source === undefined && flags[key] !== undefined ? 'cli' : null
+  }
+  const merged = { ...flags }
+  for (const key of Object.keys(OPTION_TYPES)) {
+    if (!layerOf(key) && key in configOptions) merged[key] = configOptions[key]
+  }
+  for (const group of OPTION_GROUPS) {
+    const layers = group.map(layerOf)
+    const top = layers.includes('cli') ? 'cli' : layers.includes('env') ? 'env' : null
+    if (!top) continue
+    group.forEach((key, i) => {
+      merged[key] = layers[i] === top ? flags[key] : undefined
+    })
+  }
+  return merged
+}
+
+/**
+ * Lanza Error si dos opciones excluyentes (--skip y --only, --dir y --herd-dir) quedaron
+ * definidas tras mergeOptions, es decir, en la misma capa.
+ */
+export function checkExclusiveOptions(options) {
+  for (const [a, b] of EXCLUSIVE_OPTIONS) {
+    if (options[a] !== undefined && options[b] !== undefined) {
+      throw new Error(`${flagOf(a)} y ${flagOf(b)} son excluyentes`)
+    }
+  }
+}
+
+/**
+ * Sustituye cada archivo de contraseña (--db-password-file, --filament-password-file) por su
+ * contenido, sin el salto de línea final. Lanza Error si el archivo no se puede leer, está vacío
+ * o la contraseña también se indicó directamente.
+ */
+export async function resolvePasswordFiles(options, { cwd = process.cwd() } = {}) {
+  const resolved = { ...options }
+  for (const [key, fileKey] of Object.entries(PASSWORD_FILE_OPTIONS)) {
+    if (!options[fileKey]) continue
+    if (options[key]) throw new Error(`${flagOf(key)} y ${flagOf(fileKey)} son excluyentes`)
+    const file = path.resolve(cwd, options[fileKey])
+    let content
+    try {
+      content = await fs.readFile(file, 'utf8')
+    } catch (err) {
+      throw new Error(`No se pudo leer ${flagOf(fileKey)} (${file}): ${err.message}`)
+    }
+    content = content.replace(/\r?\n$/, '')
+    if (!content) throw new Error(`${flagOf(fileKey)} (${file}) está vacío`)
+    resolved[key] = content
+  }
+  return resolved
+}
+
+/**
+ * Guarda un preset en el archivo de configuración (lo crea en el home si no hay ninguno) y
+ * devuelve la ruta. Las contraseñas y el nombre del proyecto no se guardan.
+ */
+export async function savePreset(name, options, { file } = {}) {
+  const target = file || path.join(os.homedir(), CONFIG_FILE)
+  let data = {}
+  try {
+    data = JSON.parse(await fs.readFile(target, 'utf8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`No se pudo leer ${target}: ${err.message}`)
+  }
+  const preset = Object.fromEntries(
+    Object.entries(options).filter(
+      ([key, value]) => key in OPTION_TYPES && key !== 'projectName' && !SECRET_OPTIONS.includes(key) && value != null,
+    ),
+  )
+  data.presets = { ...(data.presets || {}), [name]: preset }
+  await fs.writeFile(target, JSON.stringify(data, null, 2) + '\n')
+  return target
+}
@@ -0,0 +1,69 @@
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { run } from './run.js'
+
+// Script PHP (PDO) para consultar/eliminar la base de datos sin depender de clientes mysql/psql.
+// Las credenciales viajan por variables de entorno para no aparecer en la línea de comandos.
+const DB_ADMIN_SCRIPT = `<?php
+$driver = getenv('CLF_DB_DRIVER');
+$host = getenv('CLF_DB_HOST');
+$port = getenv('CLF_DB_PORT');
+$dsn = $driver === 'mysql' ? "mysql:host=$host;port=$port" : "pgsql:host=$host;port=$port;dbname=postgres";
+$pdo = new PDO($dsn, getenv('CLF_DB_USER'), getenv('CLF_DB_PASSWORD'), [PDO::ATTR_ERRMODE => PDO::ERRMODE_EXCEPTION]);
+$name = getenv('CLF_DB_NAME');
+if (getenv('CLF_DB_ACTION') === 'drop') {
+    $q = $driver === 'mysql' ? '\`' : '"';
+    $pdo->exec('DROP DATABASE IF EXISTS ' . $q . str_replace($q, $q . $q, $name) . $q);
+    echo 'dropped';
+    exit(0);
+}
+$sql = $driver === 'mysql'
+    ? 'SELECT 1 FROM information_schema.schemata WHERE schema_name = ?'
+    : 'SELECT 1 FROM pg_database WHERE datname = ?';
+$stmt = $pdo->prepare($sql);
+$stmt->execute([$name]);
+echo $stmt->fetchColumn() ? '1' : '0';
+`
+
+// MariaDB usa el driver PDO de MySQL
+function driverOf(db) {
+  return db === 'postgresql' ? 'pgsql' : 'mysql'
+}
+
+async function runDbAdmin(action, db, conn, exec) {
+  const file = path.join(os.tmpdir(), `clf-db-${process.pid}-${Date.now()}.php`)
+  await fs.writeFile(file, DB_ADMIN_SCRIPT)
+  try {
+    return await exec(['php', file], {
+      env: {
+        CLF_DB_ACTION: action,
+        CLF_DB_DRIVER: driverOf(db),
+        CLF_DB_HOST: conn.host || '127.0.0.1',
+        CLF_DB_PORT: String(conn.port || ''),
+        CLF_DB_NAME: conn.name || '',
+        CLF_DB_USER: conn.user || '',
+        CLF_DB_PASSWORD: conn.password || '',
+      },
+    })
+  } finally {
+    await fs.rm(file, { force: true })
+  }
+}
+
+/**
+ * Indica si la base de datos existe en el servidor. Devuelve null si no se pudo comprobar.
+ * exec ejecuta el comando (por defecto run; los pasos pasan ctx.sh).
+ */
+export async function databaseExists(db, conn, exec = run) {
+  const r = await runDbAdmin('exists', db, conn, exec)
+  if (r.status === 'error') return null
+  return r.stdout.trim() === '1'
+}
+
+/**
+ * Elimina la base de datos (DROP DATABASE IF EXISTS).
+ */
+export async function dropDatabase(db, conn, exec = run) {
+  return runDbAdmin('drop', db, conn, exec)
+}
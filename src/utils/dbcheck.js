@@ -0,0 +1,562 @@
+import crypto from 'crypto'
+import net from 'net'
+import tls from 'tls'
+
+/**
+ * Comprobación real de la conexión a MySQL/MariaDB y PostgreSQL: habla lo justo de cada protocolo
+ * para autenticarse con dbConn (como lo hará Laravel) y distinguir los fallos habituales. De
+ * SQL Server (TDS) solo se comprueba que el puerto acepta conexiones. También comprueba que
+ * Redis responde (--cache/--queue/--session redis).
+ * No usa clientes externos ni PHP, así que se puede probar contra servidores locales de prueba.
+ *
+ * Resultado: { status, message, serverVersion }, con status:
+ *   ok                 autenticado y con acceso a la base de datos
+ *   auth_failed        usuario o contraseña incorrectos (o sin permisos sobre la base)
+ *   unknown_database   las credenciales son válidas pero la base de datos no existe
+ *   ssl_required       el servidor rechaza conexiones sin SSL
+ *   unreachable        nadie escucha en host:puerto
+ *   timeout            el servidor no respondió a tiempo
+ *   error              cualquier otro fallo (protocolo inesperado, método de autenticación no soportado,
+ *                      SQL Server, ...): la comprobación no es concluyente
+ */
+
+const DEFAULT_TIMEOUT_MS = 5000
+
+function checkError(status, message) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+function targetOf(conn) {
+  return `${conn.host || '127.0.0.1'}:${conn.port}`
+}
+
+function cstr(value) {
+  return Buffer.from(`${value}\0`, 'utf8')
+}
+
+function xor(a, b) {
+  const out = Buffer.alloc(a.length)
+  for (let i = 0; i < a.length; i++) out[i] = a[i] ^ b[i % b.length]
+  return out
+}
+
+const hash = (algorithm, ...parts) => {
+  const h = crypto.createHash(algorithm)
+  for (const part of parts) h.update(part)
+  return h.digest()
+}
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest()
+
+/**
+ * Lectura por bytes sobre un socket: read(n) espera a tener n bytes. detach() suelta el socket
+ * (para pasarlo a TLS).
+ */
+function readerOf(socket) {
+  let buffer = Buffer.alloc(0)
+  let failure = null
+  let wake = null
+  const notify = () => {
+    const resolve = wake
+    wake = null
+    resolve?.()
+  }
+  const onData = chunk => {
+    buffer = Buffer.concat([buffer, chunk])
+    notify()
+  }
+  const onError = err => {
+    failure = err
+    notify()
+  }
+  const onClose = () => {
+    failure ??= checkError('error', 'El servidor cerró la conexión')
+    notify()
+  }
+  socket.on('data', onData)
+  socket.on('error', onError)
+  socket.on('close', onClose)
+
+  return {
+    socket,
+    async read(n) {
+      while (buffer.length < n) {
+        if (failure) throw failure
+        await new Promise(resolve => (wake = resolve))
+      }
+      const out = buffer.subarray(0, n)
+      buffer = buffer.subarray(n)
+      return out
+    },
+    write: data => socket.write(data),
+    detach() {
+      socket.off('data', onData)
+      socket.off('error', onError)
+      socket.off('close', onClose)
+    },
+  }
+}
+
+// Espera a que socket conecte; los fallos de red habituales pasan a 'unreachable'
+function connected(socket, host, port) {
+  return new Promise((resolve, reject) => {
+    socket.once('connect', resolve)
+    socket.once('error', err =>
+      reject(
+        ['ECONNREFUSED', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN'].includes(err.code)
+          ? checkError('unreachable', `No hay ningún servidor escuchando en ${host}:${port} (${err.code})`)
+          : err,
+      ),
+    )
+  })
+}
+
+/**
+ * Abre una sesión con open(socket) y la cierra; el tiempo total está limitado por timeoutMs.
+ */
+async function withSession(conn, defaultPort, timeoutMs, open) {
+  const host = conn.host || '127.0.0.1'
+  const port = Number(conn.port) || defaultPort
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(checkError('timeout', `${host}:${port} no respondió en ${Math.round(timeoutMs / 1000)} s`)),
+      timeoutMs,
+    )
+  })
+  // El socket se destruye aunque el tiempo se agote antes de conectar
+  const socket = net.connect({ host, port })
+  try {
+    return await Promise.race([
+      (async () => {
+        await connected(socket, host, port)
+        return open(socket)
+      })(),
+      timeout,
+    ])
+  } finally {
+    clearTimeout(timer)
+    socket.destroy()
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// MySQL / MariaDB (client/server protocol 4.1)
+
+const MYSQL_CLIENT_LONG_PASSWORD = 0x1
+const MYSQL_CLIENT_LONG_FLAG = 0x4
+const MYSQL_CLIENT_CONNECT_WITH_DB = 0x8
+const MYSQL_CLIENT_PROTOCOL_41 = 0x200
+const MYSQL_CLIENT_TRANSACTIONS = 0x2000
+const MYSQL_CLIENT_SECURE_CONNECTION = 0x8000
+const MYSQL_CLIENT_PLUGIN_AUTH = 0x80000
+// utf8mb4_general_ci
+const MYSQL_CHARSET = 45
+
+// Códigos de error del servidor -> status
+const MYSQL_ERRORS = {
+  1044: 'auth_failed', // sin permisos sobre la base de datos
+  1045: 'auth_failed',
+  1049: 'unknown_database',
+  1130: 'auth_failed', // el host no puede conectarse con ese usuario
+  3159: 'ssl_required', // require_secure_transport=ON
+}
+
+async function mysqlPacket(io) {
+  const header = await io.read(4)
+  const length = header.readUIntLE(0, 3)
+  return { seq: header[3], payload: await io.read(length) }
+}
+
+function mysqlWrite(io, seq, payload) {
+  const header = Buffer.alloc(4)
+  header.writeUIntLE(payload.length, 0, 3)
+  header[3] = seq & 0xff
+  io.write(Buffer.concat([header, payload]))
+}
+
+function mysqlError(payload, conn) {
+  const code = payload.readUInt16LE(1)
+  // 0xff, código, '#', SQLSTATE (5) y mensaje
+  const message = payload.toString('utf8', payload[3] === 0x23 ? 9 : 3)
+  const status = MYSQL_ERRORS[code] || 'error'
+  const prefix = {
+    auth_failed: `Acceso denegado para ${conn.user} en ${targetOf(conn)}`,
+    unknown_database: `La base de datos ${conn.name} no existe en ${targetOf(conn)}`,
+    ssl_required: `El servidor ${targetOf(conn)} exige una conexión SSL`,
+    error: `Error del servidor en ${targetOf(conn)}`,
+  }[status]
+  return checkError(status, `${prefix} (${code}: ${message})`)
+}
+
+function mysqlScramble(plugin, password, nonce) {
+  if (!password) return Buffer.alloc(0)
+  if (plugin === 'mysql_native_password') {
+    const stage1 = hash('sha1', password)
+    return xor(stage1, hash('sha1', nonce, hash('sha1', stage1)))
+  }
+  if (plugin === 'caching_sha2_password') {
+    const stage1 = hash('sha256', password)
+    return xor(stage1, hash('sha256', hash('sha256', stage1), nonce))
+  }
+  throw checkError('error', `Método de autenticación de MySQL no soportado: ${plugin}`)
+}
+
+function parseMysqlHandshake(payload) {
+  if (payload[0] !== 10) throw checkError('error', 'El servidor no parece MySQL (handshake desconocido)')
+  let pos = 1
+  const versionEnd = payload.indexOf(0, pos)
+  const serverVersion = payload.toString('utf8', pos, versionEnd)
+  pos = versionEnd + 1 + 4 // id de conexión
+  const part1 = payload.subarray(pos, pos + 8)
+  pos += 8 + 1 // filler
+  pos += 2 + 1 + 2 + 2 // capacidades (bajas), charset, estado, capacidades (altas)
+  const authLength = payload[pos]
+  pos += 1 + 10 // reservado
+  const part2Length = Math.max(13, authLength - 8)
+  // la segunda parte termina en NUL
+  const part2 = payload.subarray(pos, pos + part2Length - 1)
+  pos += part2Length
+  const pluginEnd = payload.indexOf(0, pos)
+  const plugin = payload.toString('utf8', pos, pluginEnd === -1 ? payload.length : pluginEnd)
+  return { serverVersion, nonce: Buffer.concat([part1, part2]), plugin: plugin || 'mysql_native_password' }
+}
+
+async function mysqlSession(socket, conn, database) {
+  const io = readerOf(socket)
+  const { payload: greeting } = await mysqlPacket(io)
+  if (greeting[0] === 0xff) throw mysqlError(greeting, conn)
+  let { serverVersion, nonce, plugin } = parseMysqlHandshake(greeting)
+
+  const password = conn.password || ''
+  let flags =
+    MYSQL_CLIENT_LONG_PASSWORD |
+    MYSQL_CLIENT_LONG_FLAG |
+    MYSQL_CLIENT_PROTOCOL_41 |
+    MYSQL_CLIENT_TRANSACTIONS |
+    MYSQL_CLIENT_SECURE_CONNECTION |
+    MYSQL_CLIENT_PLUGIN_AUTH
+  if (database) flags |= MYSQL_CLIENT_CONNECT_WITH_DB
+  const head = Buffer.alloc(32)
+  head.writeUInt32LE(flags >>> 0, 0)
+  head.writeUInt32LE(16 * 1024 * 1024, 4)
+  head[8] = MYSQL_CHARSET
+  const auth = mysqlScramble(plugin, password, nonce)
+  let seq = 1
+  mysqlWrite(
+    io,
+    seq,
+    Buffer.concat([
+      head,
+      cstr(conn.user || ''),
+      Buffer.from([auth.length]),
+      auth,
+      database ? cstr(database) : Buffer.alloc(0),
+      cstr(plugin),
+    ]),
+  )
+
+  for (;;) {
+    const packet = await mysqlPacket(io)
+    seq = packet.seq + 1
+    const { payload } = packet
+    if (payload[0] === 0x00) break
+    if (payload[0] === 0xff) throw mysqlError(payload, conn)
+    if (payload[0] === 0xfe) {
+      // cambio de método de autenticación: nombre y nuevo nonce (terminado en NUL)
+      const end = payload.indexOf(0, 1)
+      plugin = payload.toString('utf8', 1, end)
+      nonce = payload.subarray(end + 1, payload[payload.length - 1] === 0 ? payload.length - 1 : payload.length)
+      mysqlWrite(io, seq, mysqlScramble(plugin, password, nonce))
+    } else if (payload[0] === 0x01 && plugin === 'caching_sha2_password' && payload[1] === 0x03) {
+      // fast auth: la contraseña estaba en la caché del servidor; sigue un OK
+    } else if (payload[0] === 0x01 && plugin === 'caching_sha2_password' && payload[1] === 0x04) {
+      // full auth sin TLS: se pide la clave pública del servidor y se envía la contraseña cifrada con RSA
+      mysqlWrite(io, seq, Buffer.from([0x02]))
+      const keyPacket = await mysqlPacket(io)
+      if (keyPacket.payload[0] === 0xff) throw mysqlError(keyPacket.payload, conn)
+      const encrypted = crypto.publicEncrypt(
+        { key: keyPacket.payload.subarray(1).toString('utf8'), padding: crypto.constants.RSA_PKCS1_OAEP_PADDING },
+        xor(cstr(password), nonce),
+      )
+      mysqlWrite(io, keyPacket.seq + 1, encrypted)
+    } else {
+      throw checkError('error', `Respuesta inesperada de MySQL durante la autenticación (0x${payload[0].toString(16)})`)
+    }
+  }
+
+  return {
+    serverVersion,
+    async query(sql) {
+      mysqlWrite(io, 0, Buffer.concat([Buffer.from([0x03]), Buffer.from(sql, 'utf8')]))
+      const { payload } = await mysqlPacket(io)
+      if (payload[0] === 0xff) throw mysqlError(payload, conn)
+    },
+    close() {
+      mysqlWrite(io, 0, Buffer.from([0x01]))
+    },
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// PostgreSQL (protocolo 3.0)
+
+const PG_PROTOCOL = 196608
+const PG_SSL_REQUEST = 80877103
+
+async function pgMessage(io) {
+  const header = await io.read(5)
+  return { type: String.fromCharCode(header[0]), body: await io.read(header.readInt32BE(1) - 4) }
+}
+
+function pgWrite(io, type, body) {
+  const length = Buffer.alloc(4)
+  length.writeInt32BE(body.length + 4)
+  io.write(Buffer.concat([type ? Buffer.from(type) : Buffer.alloc(0), length, body]))
+}
+
+function pgError(body, conn, database) {
+  const fields = {}
+  let pos = 0
+  while (pos < body.length && body[pos] !== 0) {
+    const end = body.indexOf(0, pos + 1)
+    fields[String.fromCharCode(body[pos])] = body.toString('utf8', pos + 1, end)
+    pos = end + 1
+  }
+  const { C: code = '', M: message = '' } = fields
+  if (code === '28P01') {
+    return checkError('auth_failed', `Contraseña incorrecta para ${conn.user} en ${targetOf(conn)} (${message})`)
+  }
+  if (code === '28000' && /SSL|encrypt/i.test(message)) {
+    return checkError('ssl_required', `El servidor ${targetOf(conn)} exige una conexión SSL (${message})`)
+  }
+  if (code === '28000') {
+    return checkError('auth_failed', `Acceso denegado para ${conn.user} en ${targetOf(conn)} (${message})`)
+  }
+  if (code === '3D000') {
+    return checkError('unknown_database', `La base de datos ${database} no existe en ${targetOf(conn)} (${message})`)
+  }
+  return checkError('error', `Error de PostgreSQL en ${targetOf(conn)} (${code}: ${message})`)
+}
+
+// SCRAM-SHA-256 (RFC 5802/7677) sin channel binding
+function scramClient(password) {
+  const nonce = crypto.randomBytes(18).toString('base64')
+  const clientFirstBare = `n=*,r=${nonce}`
+  let authMessage
+  let saltedPassword
+  return {
+    first: `n,,${clientFirstBare}`,
+    final(serverFirst) {
+      const attrs = Object.fromEntries(serverFirst.split(',').map(part => [part[0], part.slice(2)]))
+      if (!attrs.r?.startsWith(nonce)) throw checkError('error', 'Respuesta SCRAM inválida del servidor')
+      saltedPassword = crypto.pbkdf2Sync(password, Buffer.from(attrs.s, 'base64'), Number(attrs.i), 32, 'sha256')
+      const clientKey = hmac(saltedPassword, 'Client Key')
+      const withoutProof = `c=biws,r=${attrs.r}`
+      authMessage = `${clientFirstBare},${serverFirst},${withoutProof}`
+      const proof = xor(clientKey, hmac(hash('sha256', clientKey), authMessage))
+      return `${withoutProof},p=${proof.toString('base64')}`
+    },
+    verify(serverFinal) {
+      const expected = hmac(hmac(saltedPassword, 'Server Key'), authMessage).toString('base64')
+      if (serverFinal.trim() !== `v=${expected}`) throw checkError('error', 'Firma SCRAM del servidor inválida')
+    },
+  }
+}
+
+async function pgSession(socket, conn, database) {
+  let io = readerOf(socket)
+  // sslmode=prefer, como Laravel: TLS si el servidor lo ofrece (sin verificar el certificado)
+  const sslRequest = Buffer.alloc(4)
+  sslRequest.writeInt32BE(PG_SSL_REQUEST)
+  pgWrite(io, null, sslRequest)
+  const answer = String.fromCharCode((await io.read(1))[0])
+  if (answer === 'S') {
+    io.detach()
+    const secure = await new Promise((resolve, reject) => {
+      const tlsSocket = tls.connect({ socket, rejectUnauthorized: false }, () => resolve(tlsSocket))
+      tlsSocket.once('error', reject)
+    })
+    io = readerOf(secure)
+  } else if (answer !== 'N') {
+    throw checkError('error', `El servidor en ${targetOf(conn)} no parece PostgreSQL`)
+  }
+
+  const version = Buffer.alloc(4)
+  version.writeInt32BE(PG_PROTOCOL)
+  pgWrite(
+    io,
+    null,
+    Buffer.concat([
+      version,
+      cstr('user'),
+      cstr(conn.user || ''),
+      cstr('database'),
+      cstr(database),
+      cstr('client_encoding'),
+      cstr('UTF8'),
+      Buffer.from([0]),
+    ]),
+  )
+
+  const password = conn.password || ''
+  let scram = null
+  let serverVersion = null
+  for (;;) {
+    const { type, body } = await pgMessage(io)
+    if (type === 'E') throw pgError(body, conn, database)
+    if (type === 'Z') break
+    if (type === 'S') {
+      const [name, value] = body.toString('utf8').split('\0')
+      if (name === 'server_version') serverVersion = value
+      continue
+    }
+    if (type !== 'R') continue
+    const code = body.readInt32BE(0)
+    if (code === 0) continue
+    if (code === 3) {
+      pgWrite(io, 'p', cstr(password))
+    } else if (code === 5) {
+      const inner = hash('md5', password, conn.user || '').toString('hex')
+      pgWrite(io, 'p', cstr('md5' + hash('md5', inner, body.subarray(4, 8)).toString('hex')))
+    } else if (code === 10) {
+      const mechanisms = body.subarray(4).toString('utf8').split('\0').filter(Boolean)
+      if (!mechanisms.includes('SCRAM-SHA-256')) {
+        throw checkError('error', `Método de autenticación de PostgreSQL no soportado: ${mechanisms.join(', ')}`)
+      }
+      scram = scramClient(password)
+      const first = Buffer.from(scram.first)
+      const length = Buffer.alloc(4)
+      length.writeInt32BE(first.length)
+      pgWrite(io, 'p', Buffer.concat([cstr('SCRAM-SHA-256'), length, first]))
+    } else if (code === 11 && scram) {
+      pgWrite(io, 'p', Buffer.from(scram.final(body.subarray(4).toString('utf8'))))
+    } else if (code === 12 && scram) {
+      scram.verify(body.subarray(4).toString('utf8'))
+    } else {
+      throw checkError('error', `Método de autenticación de PostgreSQL no soportado (${code})`)
+    }
+  }
+
+  return {
+    serverVersion,
+    async query(sql) {
+      pgWrite(io, 'Q', cstr(sql))
+      let failure = null
+      for (;;) {
+        const { type, body } = await pgMessage(io)
+        if (type === 'E') failure = pgError(body, conn, database)
+        if (type === 'Z') break
+      }
+      if (failure) throw failure
+    },
+    close() {
+      pgWrite(io, 'X', Buffer.alloc(0))
+    },
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// Redis (RESP): basta con PING
+
+async function redisSession(socket, conn) {
+  const io = readerOf(socket)
+  io.write('PING\r\n')
+  let line = ''
+  while (!line.endsWith('\r\n')) line += (await io.read(1)).toString('latin1')
+  if (line.startsWith('+PONG')) {
+    return {
+      serverVersion: null,
+      close() {
+        io.write('QUIT\r\n')
+      },
+    }
+  }
+  if (/^-(NOAUTH|WRONGPASS)/.test(line)) {
+    throw checkError('auth_failed', `Redis en ${targetOf(conn)} requiere contraseña (REDIS_PASSWORD en .env)`)
+  }
+  if (line.startsWith('-')) throw checkError('error', `Redis en ${targetOf(conn)}: ${line.slice(1).trim()}`)
+  throw checkError('error', `El servidor en ${targetOf(conn)} no parece Redis`)
+}
+
+// ---------------------------------------------------------------------------------------------
+
+function sessionOf(db) {
+  if (db === 'mysql' || db === 'mariadb') return { open: mysqlSession, port: 3306 }
+  if (db === 'postgresql') return { open: pgSession, port: 5432 }
+  // sin cliente TDS: solo se abre la conexión
+  if (db === 'sqlsrv') return { open: null, port: 1433 }
+  if (db === 'redis') return { open: redisSession, port: 6379 }
+  throw new Error(`Base de datos no soportada: ${db}`)
+}
+
+function resultOf(err) {
+  if (err.status) return { status: err.status, message: err.message, serverVersion: null }
+  return { status: 'error', message: err.message, serverVersion: null }
+}
+
+/**
+ * Se autentica contra db ('mysql', 'mariadb', 'postgresql' o 'sqlsrv') con conn
+ * { host, port, name, user, password } y devuelve { status, message, serverVersion } (ver
+ * arriba). Con 'redis' solo se usan host y port. Nunca lanza.
+ */
+export async function checkDatabaseConnection(db, conn, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const { open, port } = sessionOf(db)
+  try {
+    return await withSession(conn, port, timeoutMs, async socket => {
+      if (!open) {
+        return {
+          status: 'error',
+          message: `${targetOf(conn)} acepta conexiones; las credenciales se comprobarán al ejecutar las migraciones`,
+          serverVersion: null,
+        }
+      }
+      const session = await open(socket, conn, conn.name)
+      session.close()
+      return {
+        status: 'ok',
+        message:
+          db === 'redis'
+            ? `Redis responde en ${targetOf(conn)}`
+            : `Conectado a ${conn.name} en ${targetOf(conn)} como ${conn.user}`,
+        serverVersion: session.serverVersion,
+      }
+    })
+  } catch (err) {
+    return resultOf(err)
+  }
+}
+
+/**
+ * Crea la base de datos conn.name conectándose sin ella (PostgreSQL: a la base postgres).
+ * Devuelve { status, message, serverVersion }. Nunca lanza.
+ */
+export async function createDatabase(db, conn, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const { open, port } = sessionOf(db)
+  if (!open || db === 'redis') {
+    return { status: 'error', message: `No se puede crear la base de datos en ${db}`, serverVersion: null }
+  }
+  const quote = db === 'postgresql' ? '"' : '`'
+  const identifier =
+    quote +
+    String(conn.name)
+      .split(quote)
+      .join(quote + quote) +
+    quote
+  try {
+    return await withSession(conn, port, timeoutMs, async socket => {
+      const session = await open(socket, conn, db === 'postgresql' ? 'postgres' : null)
+      await session.query(`CREATE DATABASE ${identifier}`)
+      session.close()
+      return {
+        status: 'ok',
+        message: `Base de datos ${conn.name} creada en ${targetOf(conn)}`,
+        serverVersion: session.serverVersion,
+      }
+    })
+  } catch (err) {
+    return resultOf(err)
+  }
+}
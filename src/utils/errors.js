@@ -0,0 +1,42 @@
+/**
+ * Códigos de error de `create` y su código de salida del proceso. Se documentan en el README
+ * (Códigos de salida) y aparecen en la salida JSON como error.code / error.exitCode.
+ * step: el código puede venir de un paso del pipeline (el resto solo de la validación de entrada).
+ */
+export const ERROR_CODES = {
+  ESTEP: { exitCode: 1, step: true, description: 'Fallo de un paso sin categoría propia' },
+  EINVAL: { exitCode: 2, description: 'Banderas o entrada inválidas' },
+  ENOENT: { exitCode: 2, description: 'No hay checkpoint en la ruta de --resume' },
+  EPLUGIN: { exitCode: 2, description: 'Plugin inválido' },
+  ECONFIG: { exitCode: 2, description: 'Archivo de configuración o preset inválidos' },
+  EPREREQ: { exitCode: 3, step: true, description: 'Falta un requisito (Herd, PHP, Node, npm, Docker, ...)' },
+  EDB: { exitCode: 4, step: true, description: 'La base de datos no es accesible' },
+  EINSTALL: { exitCode: 5, step: true, description: 'Fallo de red o de instalación de dependencias' },
+  EQUALITY: { exitCode: 6, step: true, description: 'Falló el quality gate (PHPStan, Pest, Pint o Rector)' },
+  ETIMEOUT: { exitCode: 7, step: true, description: 'Un comando superó el tiempo máximo del paso' },
+  ECANCELLED: { exitCode: 130, description: 'Cancelado por el usuario' },
+}
+
+/**
+ * Error con código tipado (y, si se conoce, el id del paso que falló).
+ */
+export function cliError(code, message, step = null) {
+  const err = new Error(message)
+  err.code = code
+  err.step = step
+  return err
+}
+
+/**
+ * Completa un error lanzado por un paso: siempre lleva el id del paso y un código de paso
+ * (los errores inesperados, p. ej. de fs, quedan como ESTEP).
+ */
+export function asStepError(err, stepId) {
+  if (!ERROR_CODES[err.code]?.step) err.code = 'ESTEP'
+  err.step = err.step || stepId
+  return err
+}
+
+export function exitCodeOf(code) {
+  return ERROR_CODES[code]?.exitCode ?? 1
+}
@@ -0,0 +1,130 @@
+import commandExists from 'command-exists'
+import { mkdirSync, readFileSync, writeFileSync } from 'fs'
+import path from 'path'
+import { checkDatabaseConnection, createDatabase } from './dbcheck.js'
+import { formatCommand, run } from './run.js'
+import { isPortOpen } from './services.js'
+
+/**
+ * Un executor agrupa todo lo que el pipeline necesita del sistema para lanzar procesos:
+ *   run(command, opts)    misma firma y resultado que run() en utils/run.js
+ *   commandExists(name)   resuelve si el binario está en el PATH y rechaza si no
+ *   database(action, db, conn)
+ *                         'check' se autentica con conn (db también puede ser 'redis') y 'create'
+ *                         crea la base de datos;
+ *                         resuelve { status, message, serverVersion } (ver utils/dbcheck.js)
+ *   portOpen(host, port)  resuelve true si hay un servidor escuchando (comprobaciones de puertos)
+ * runCreate usa el del sistema salvo que reciba otro (opción executor o CLF_EXECUTOR=fake).
+ */
+export function createSystemExecutor() {
+  return {
+    name: 'system',
+    run,
+    commandExists: name => commandExists(name),
+    database: (action, db, conn) =>
+      action === 'create' ? createDatabase(db, conn) : checkDatabaseConnection(db, conn),
+    portOpen: (host, port) => isPortOpen(host, port),
+  }
+}
+
+function matches(rule, command) {
+  const text = formatCommand(command)
+  if (typeof rule.match === 'function') return rule.match(command, text)
+  if (rule.match instanceof RegExp) return rule.match.test(text)
+  return text.includes(rule.match)
+}
+
+/**
+ * Executor falso para probar el flujo completo sin PHP, Composer, Herd ni Node. Registra cada
+ * invocación en `calls` y responde según `rules` (la primera que coincide, en orden):
+ *   { match, status, stdout, stderr, exitCode, times }
+ * match es un substring del comando formateado, una RegExp o (argv, text) => boolean; times
+ * limita cuántas veces aplica la regla (p. ej. fallar una vez y luego tener éxito).
+ * Sin regla, el comando termina con éxito y sin salida. `missing` lista los binarios que
+ * commandExists debe dar por ausentes. `database` son las reglas de database(action, db, ...):
+ *   { action, db, status, message, times }
+ * (la primera con esa acción y, si se indica, ese db; sin regla, status 'ok'). `openPorts` lista los
+ * 'host:puerto' en los que portOpen encuentra un servidor (ninguno por defecto: no se abre ninguna
+ * conexión real). Para que el resto del flujo funcione, `laravel new <nombre>` (también dentro de
+ * docker run) crea la carpeta del proyecto vacía (scaffold: false lo desactiva).
+ */
+export function createFakeExecutor({ rules = [], missing = [], scaffold = true, database = [], openPorts = [] } = {}) {
+  const calls = []
+  const remaining = new Map([...rules, ...database].map(rule => [rule, rule.times ?? Infinity]))
+
+  return {
+    name: 'fake',
+    calls,
+
+    async run(command, opts = {}) {
+      const cwd = opts.cwd || process.cwd()
+      calls.push({ type: 'run', command, shell: Boolean(opts.shell), cwd })
+
+      const rule = rules.find(r => remaining.get(r) > 0 && matches(r, command))
+      if (rule) remaining.set(rule, remaining.get(rule) - 1)
+      const { status = 'success', stdout = '', stderr = '', exitCode = status === 'success' ? 0 : 1 } = rule || {}
+
+      // laravel new directo o dentro de docker run (--env sail)
+      const laravelNew = Array.isArray(command)
+        ? command.findIndex((arg, i) => arg === 'laravel' && command[i + 1] === 'new')
+        : -1
+      if (scaffold && status === 'success' && laravelNew !== -1) {
+        mkdirSync(path.resolve(cwd, command[laravelNew + 2]), { recursive: true })
+      }
+      if (opts.onOutput) {
+        for (const line of stdout.split('\n').filter(Boolean)) opts.onOutput(line, 'stdout')
+        for (const line of stderr.split('\n').filter(Boolean)) opts.onOutput(line, 'stderr')
+      }
+      const cmd = formatCommand(command)
+      opts.log?.({ cmd, cwd, status, exitCode, durationMs: 0, stdout, stderr })
+
+      const result = { status, durationMs: 0, stdout, stderr }
+      return status === 'success' ? result : { ...result, error: new Error(stderr || `Falló: ${cmd}`) }
+    },
+
+    async commandExists(name) {
+      calls.push({ type: 'commandExists', name })
+      if (missing.includes(name)) throw new Error(`${name} no encontrado`)
+      return name
+    },
+
+    async database(action, db, conn) {
+      calls.push({ type: 'database', action, db, host: conn.host, port: conn.port, name: conn.name, user: conn.user })
+      const rule = database.find(r => remaining.get(r) > 0 && r.action === action && (!r.db || r.db === db))
+      if (rule) remaining.set(rule, remaining.get(rule) - 1)
+      const { status = 'ok', message = `${action}: ${status}` } = rule || {}
+      return { status, message, serverVersion: null }
+    },
+
+    async portOpen(host, port) {
+      calls.push({ type: 'port', host, port: Number(port) })
+      return openPorts.includes(`${host}:${port}`)
+    },
+  }
+}
+
+/**
+ * Executor según el entorno: CLF_EXECUTOR=fake usa el falso con el guion JSON de
+ * CLF_FAKE_SCRIPT ({ rules, missing, scaffold, database, openPorts }; match se interpreta como RegExp) y, si existe
+ * CLF_FAKE_CALLS, guarda ahí las invocaciones registradas al terminar el proceso.
+ */
+export function executorFromEnv(env = process.env) {
+  if (env.CLF_EXECUTOR !== 'fake') return createSystemExecutor()
+
+  let script = {}
+  if (env.CLF_FAKE_SCRIPT) {
+    try {
+      script = JSON.parse(readFileSync(env.CLF_FAKE_SCRIPT, 'utf8'))
+    } catch (err) {
+      throw new Error(`No se pudo leer CLF_FAKE_SCRIPT (${env.CLF_FAKE_SCRIPT}): ${err.message}`)
+    }
+  }
+  const executor = createFakeExecutor({
+    ...script,
+    rules: (script.rules || []).map(rule => ({ ...rule, match: new RegExp(rule.match) })),
+  })
+  if (env.CLF_FAKE_CALLS) {
+    process.once('exit', () => writeFileSync(env.CLF_FAKE_CALLS, JSON.stringify(executor.calls, null, 2)))
+  }
+  return executor
+}
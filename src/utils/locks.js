@@ -0,0 +1,61 @@
+/**
+ * Exclusión mutua entre pasos concurrentes. Cada recurso (p. ej. 'php': composer.json,
+ * composer.lock y vendor/) admite un único poseedor; el resto espera en orden de llegada.
+ */
+export function createLocks() {
+  const tails = new Map()
+
+  const acquire = async name => {
+    const previous = tails.get(name) || Promise.resolve()
+    let release
+    const current = new Promise(resolve => (release = resolve))
+    const tail = previous.then(() => current)
+    tails.set(name, tail)
+    await previous
+    return () => {
+      release()
+      if (tails.get(name) === tail) tails.delete(name)
+    }
+  }
+
+  return {
+    /**
+     * Ejecuta fn(waitedMs) con los recursos tomados (en el orden dado). Devuelve { value, waitedMs }.
+     */
+    async with(names, fn) {
+      const releases = []
+      const waitStartedAt = Date.now()
+      try {
+        for (const name of names) releases.push(await acquire(name))
+        const waitedMs = Date.now() - waitStartedAt
+        return { value: await fn(waitedMs), waitedMs }
+      } finally {
+        for (const release of releases.reverse()) release()
+      }
+    },
+  }
+}
+
+/**
+ * Promesa resoluble desde fuera; el planificador la usa para marcar pasos terminados.
+ */
+export function deferred() {
+  let resolve
+  const promise = new Promise(r => (resolve = r))
+  return { promise, resolve }
+}
+
+/**
+ * Recursos que un comando usa en exclusiva, deducidos de cómo empieza más los declarados
+ * (lock: 'php' | ['npm', 'php']). Se devuelven ordenados para tomarlos siempre en el mismo
+ * orden y evitar bloqueos cruzados.
+ */
+export function resourcesOf(command, extra = []) {
+  const resources = new Set(Array.isArray(extra) ? extra : [extra].filter(Boolean))
+  const executable = Array.isArray(command) ? command[0] : String(command).trim().split(/\s+/)[0]
+  // composer.json, composer.lock y vendor/ (artisan los lee en cada arranque)
+  if (executable === 'composer' || executable === 'php') resources.add('php')
+  // package.json, package-lock.json y node_modules/
+  if (executable === 'npm') resources.add('npm')
+  return [...resources].sort()
+}
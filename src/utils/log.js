@@ -0,0 +1,77 @@
+import { appendFileSync, promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { STATE_DIR } from './checkpoint.js'
+
+/**
+ * Carpeta de logs en la caché del usuario (antes de que exista el proyecto).
+ */
+export function cacheLogDir() {
+  const home = os.homedir()
+  const base =
+    process.platform === 'win32'
+      ? process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local')
+      : process.platform === 'darwin'
+        ? path.join(home, 'Library', 'Caches')
+        : process.env.XDG_CACHE_HOME || path.join(home, '.cache')
+  return path.join(base, 'create-laravel-filament', 'logs')
+}
+
+/**
+ * Carpeta de logs dentro del proyecto (ignorada por el .gitignore de la carpeta de estado).
+ */
+export function projectLogDir(projectPath) {
+  return path.join(projectPath, STATE_DIR, 'logs')
+}
+
+/**
+ * Log completo de una ejecución: cada comando con su cwd, código de salida, duración y
+ * salida sin truncar. Las escrituras son síncronas para conservar el orden entre pasos
+ * concurrentes; un fallo al escribir nunca interrumpe la instalación.
+ */
+export async function createRunLog({ mask = text => text } = {}) {
+  const name = `create-${new Date().toISOString().replace(/[:.]/g, '-')}-${process.pid}.log`
+  let file = path.join(cacheLogDir(), name)
+  await fs.mkdir(path.dirname(file), { recursive: true })
+
+  const write = text => {
+    try {
+      appendFileSync(file, mask(text))
+    } catch {}
+  }
+  write(`# create-laravel-filament ${new Date().toISOString()} (node ${process.version}, ${process.platform})\n`)
+
+  return {
+    get path() {
+      return file
+    },
+
+    write(line) {
+      write(`[${new Date().toISOString()}] ${line}\n`)
+    },
+
+    command({ step, cmd, cwd, status, exitCode, durationMs, stdout, stderr }) {
+      const lines = [
+        `[${new Date().toISOString()}] [${step}] $ ${cmd}`,
+        `  cwd: ${cwd}`,
+        `  status: ${status} (exit ${exitCode ?? 'n/a'}) en ${durationMs} ms`,
+      ]
+      if (stdout) lines.push('  --- stdout ---', stdout)
+      if (stderr) lines.push('  --- stderr ---', stderr)
+      write(lines.join('\n') + '\n\n')
+    },
+
+    /**
+     * Mueve el log a otra carpeta y sigue escribiendo allí (no-op si ya está).
+     */
+    async moveTo(dir) {
+      const target = path.join(dir, name)
+      if (target === file) return
+      await fs.mkdir(dir, { recursive: true })
+      // copiar + borrar: rename falla entre dispositivos (caché y proyecto en discos distintos)
+      await fs.copyFile(file, target)
+      await fs.rm(file, { force: true })
+      file = target
+    },
+  }
+}
@@ -0,0 +1,171 @@
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+
+export function defaultHerdDirectory() {
+  return path.join(os.homedir(), 'Herd')
+}
+
+/**
+ * Carpeta donde se crean los proyectos si no se indica --dir: la de Herd (que los sirve como
+ * <nombre>.test) o, con native y sail, el directorio actual.
+ */
+export function defaultProjectsDirectory(env = 'herd') {
+  return env === 'herd' ? defaultHerdDirectory() : process.cwd()
+}
+
+// Crea la carpeta de proyectos si no existe y devuelve su ruta
+export async function getProjectsDirectory(env, preferred) {
+  const dir = preferred || defaultProjectsDirectory(env)
+  try {
+    await fs.access(dir)
+  } catch {
+    await fs.mkdir(dir, { recursive: true })
+  }
+  return dir
+}
+
+export async function updateEnvValues(projectPath, updates) {
+  const envPath = path.join(projectPath, '.env')
+  let content = ''
+  try {
+    content = await fs.readFile(envPath, 'utf8')
+  } catch {
+    // .env no existe (a veces tras laravel new aún no está copiado). Creamos uno nuevo.
+    content = ''
+  }
+  let lines = content.split('\n')
+  const keysFound = new Set()
+  lines = lines.map(line => {
+    const trimmedLine = line.trim()
+    if (trimmedLine.startsWith('#') || !trimmedLine.includes('=')) return line
+    const key = trimmedLine.split('=')[0]
+    if (Object.prototype.hasOwnProperty.call(updates, key)) {
+      keysFound.add(key)
+      return `${key}=${updates[key]}`
+    }
+    return line
+  })
+  for (const [key, value] of Object.entries(updates)) {
+    if (!keysFound.has(key)) lines.push(`${key}=${value}`)
+  }
+  await fs.writeFile(envPath, lines.join('\n'))
+}
+
+export async function maybeCreateSqliteDatabase(projectPath) {
+  const dbFile = path.join(projectPath, 'database', 'database.sqlite')
+  await fs.mkdir(path.dirname(dbFile), { recursive: true })
+  await fs.writeFile(dbFile, '')
+}
+
+export async function ensurePhpunitAppLocaleEn(projectPath) {
+  const candidates = [path.join(projectPath, 'phpunit.xml'), path.join(projectPath, 'phpunit.xml.dist')]
+  let phpunitPath = null
+  for (const pth of candidates) {
+    try {
+      await fs.access(pth)
+      phpunitPath = pth
+      break
+    } catch {}
+  }
+  if (!phpunitPath) return
+  let xmlData = await fs.readFile(phpunitPath, 'utf-8')
+  xmlData = xmlData.replace(/<phpunit([^>]*)>/i, (match, attrs) => {
+    if (!attrs.includes('colors=')) return `<phpunit${attrs} colors="true">`
+    return match.replace(/colors\\s*=\\s*["']?[^"']*["']?/i, 'colors="true"')
+  })
+  if (xmlData.includes('name="APP_LOCALE"')) {
+    xmlData = xmlData.replace(/<env\\s+name="APP_LOCALE"\\s+value="[^"]*"/i, 'env name="APP_LOCALE" value="en"')
+  } else {
+    xmlData = xmlData.replace(/<php>/i, '<php><env name="APP_LOCALE" value="en"/>')
+  }
+  await fs.writeFile(phpunitPath, xmlData)
+}
+
+/**
+ * Detecta si existen migraciones con columnas two_factor_* en el proyecto.
+ */
+export async function detectTwoFactorColumnsInMigrations(projectPath) {
+  const migrationsDir = path.join(projectPath, 'database', 'migrations')
+  try {
+    const entries = await fs.readdir(migrationsDir, { withFileTypes: true })
+    for (const entry of entries) {
+      if (!entry.isFile()) continue
+      if (!entry.name.endsWith('.php')) continue
+      const full = path.join(migrationsDir, entry.name)
+      const data = await fs.readFile(full, 'utf8')
+      if (
+        data.includes('two_factor_secret') ||
+        data.includes('two_factor_recovery_codes') ||
+        data.includes('two_factor_confirmed_at') ||
+        data.includes('two_factor_')
+      ) {
+        return true
+      }
+    }
+  } catch {}
+  return false
+}
+
+/**
+ * Parchea database/factories/UserFactory.php agregando valores por defecto (null)
+ * para columnas 2FA si aún no existen.
+ */
+export async function patchUserFactoryTwoFactorDefaults(projectPath) {
+  const factoryPath = path.join(projectPath, 'database', 'factories', 'UserFactory.php')
+  let content
+  try {
+    content = await fs.readFile(factoryPath, 'utf8')
+  } catch {
+    return { patched: false, reason: 'factory_not_found' }
+  }
+
+  if (
+    content.includes('two_factor_secret') ||
+    content.includes('two_factor_recovery_codes') ||
+    content.includes('two_factor_confirmed_at')
+  ) {
+    return { patched: false, reason: 'already_present' }
+  }
+
+  // Buscar el bloque: línea con "return [" y su cierre "];" más cercano
+  const startRe = /^[ \t]*return\s*\[/m
+  const startMatch = startRe.exec(content)
+  if (!startMatch) {
+    return { patched: false, reason: 'array_not_found' }
+  }
+
+  const startIdx = startMatch.index
+  const indent = (startMatch[0].match(/^[ \t]*/) || [''])[0]
+
+  const afterStart = content.slice(startIdx)
+  const endRe = /^[ \t]*\];/m
+  const endMatch = endRe.exec(afterStart)
+  if (!endMatch) {
+    return { patched: false, reason: 'array_end_not_found' }
+  }
+
+  const arrStart = startIdx + startMatch[0].length
+  const arrEnd = startIdx + endMatch.index
+  let arr = content.slice(arrStart, arrEnd)
+
+  // Asegurar coma final antes de inyectar nuevas líneas
+  if (!arr.trimEnd().endsWith(',')) {
+    arr = arr.replace(/\s*$/, ',\n')
+  }
+
+  const injectionIndent = indent + '    '
+  const injection =
+    `${injectionIndent}'two_factor_secret' => null,\n` +
+    `${injectionIndent}'two_factor_recovery_codes' => null,\n` +
+    `${injectionIndent}'two_factor_confirmed_at' => null,\n`
+
+  const newContent = content.slice(0, arrStart) + arr + injection + content.slice(arrEnd)
+
+  if (newContent === content) {
+    return { patched: false, reason: 'replace_noop' }
+  }
+
+  await fs.writeFile(factoryPath, newContent)
+  return { patched: true }
+}
@@ -0,0 +1,49 @@
+/**
+ * Acciones de limpieza registradas por los pasos a medida que modifican el sistema.
+ * Se deshacen en orden inverso (lo último que se hizo es lo primero que se revierte).
+ */
+export function createRollback() {
+  const actions = []
+
+  return {
+    get size() {
+      return actions.length
+    },
+
+    /**
+     * Registra una acción { name, description, undo }. undo puede devolver
+     * { status: 'skipped', message } cuando no hay nada que revertir.
+     */
+    add(action) {
+      actions.push(action)
+    },
+
+    /**
+     * Ejecuta todas las acciones pendientes. Nunca lanza: cada fallo queda en el resultado.
+     */
+    async runAll() {
+      const results = []
+      while (actions.length > 0) {
+        const action = actions.pop()
+        const startedAt = Date.now()
+        try {
+          const outcome = (await action.undo()) || {}
+          results.push({
+            name: action.name,
+            status: outcome.status || 'success',
+            message: outcome.message || action.description,
+            durationMs: Date.now() - startedAt,
+          })
+        } catch (err) {
+          results.push({
+            name: action.name,
+            status: 'error',
+            message: `${action.description}: ${err.message}`,
+            durationMs: Date.now() - startedAt,
+          })
+        }
+      }
+      return results
+    },
+  }
+}
@@ -0,0 +1,118 @@
+import { execa, execaSync } from 'execa'
+
+export function truncate(str = '', max = 8192) {
+  if (!str) return ''
+  return str.length > max ? str.slice(0, max) + `\\n... [truncated ${str.length - max} chars]` : str
+}
+
+// Transformación de execa que reenvía cada línea sin alterar la salida capturada
+function tap(onOutput, stream) {
+  return function* (line) {
+    onOutput(line, stream)
+    yield line
+  }
+}
+
+/**
+ * Termina un proceso y todos sus descendientes (composer, npm y docker lanzan subprocesos
+ * que sobreviven a la shell). En POSIX se recorre la tabla de procesos con ps.
+ * Devuelve los pids señalados.
+ */
+export function killTree(pid, signal = 'SIGTERM') {
+  if (process.platform === 'win32') {
+    execa('taskkill', ['/pid', String(pid), '/T', '/F']).catch(() => {})
+    return [pid]
+  }
+  const pids = [pid]
+  try {
+    const children = new Map()
+    for (const line of execaSync('ps', ['-A', '-o', 'pid=', '-o', 'ppid=']).stdout.split('\n')) {
+      const [child, parent] = line.trim().split(/\s+/).map(Number)
+      if (!children.has(parent)) children.set(parent, [])
+      children.get(parent).push(child)
+    }
+    for (let i = 0; i < pids.length; i++) pids.push(...(children.get(pids[i]) || []))
+  } catch {}
+  for (const target of pids) {
+    try {
+      process.kill(target, signal)
+    } catch {}
+  }
+  return pids
+}
+
+/**
+ * Duración legible para mensajes: '500 ms', '1,5 s', '900 s'.
+ */
+export function formatDuration(ms) {
+  if (Math.round(ms) < 1000) return `${Math.round(ms)} ms`
+  return `${(Math.round(ms / 100) / 10).toLocaleString('es')} s`
+}
+
+/**
+ * Representación legible de un comando (logs, plan del dry-run, mensajes de error). Los
+ * argumentos con espacios o caracteres especiales se muestran entre comillas simples.
+ */
+export function formatCommand(command) {
+  if (!Array.isArray(command)) return String(command)
+  return command.map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`)).join(' ')
+}
+
+/**
+ * Ejecuta un comando. command es un arreglo [ejecutable, ...args]: no pasa por la shell, así
+ * que cada argumento (nombres, contraseñas) llega literal. Un string solo se acepta con
+ * { shell: true }, para los pocos casos que necesitan operadores de shell.
+ * Nunca lanza por fallos del proceso: devuelve status, duración y salida truncada.
+ * Con onOutput(line, 'stdout' | 'stderr') la salida se reenvía en vivo, línea a línea;
+ * con log(entry) se recibe la invocación completa (salida sin truncar, cwd y código de salida).
+ * Con timeoutMs, al agotarse se termina el árbol de procesos y el status es 'timeout'.
+ */
+export async function run(command, opts = {}) {
+  const { cwd, env, onOutput, log, timeoutMs = 0, shell = false } = opts
+  if (typeof command === 'string' && !shell) {
+    throw new TypeError(`Comando como string sin { shell: true }: ${command}`)
+  }
+  const cmd = formatCommand(command)
+  const startedAt = Date.now()
+  const live = onOutput ? { stdout: tap(onOutput, 'stdout'), stderr: tap(onOutput, 'stderr') } : {}
+  const finish = (status, exitCode, stdout = '', stderr = '') => {
+    const durationMs = Date.now() - startedAt
+    log?.({ cmd, cwd: cwd || process.cwd(), status, exitCode, durationMs, stdout, stderr })
+    return { status, durationMs, stdout: truncate(stdout), stderr: truncate(stderr) }
+  }
+
+  const options = { cwd, env, ...live }
+  const subprocess = shell ? execa(command, { ...options, shell: true }) : execa(command[0], command.slice(1), options)
+  let timedOut = false
+  let timer = null
+  if (timeoutMs > 0) {
+    timer = setTimeout(() => {
+      timedOut = true
+      const pids = killTree(subprocess.pid)
+      // Lo que ignore SIGTERM se termina a la fuerza (los huérfanos ya no cuelgan de la shell)
+      setTimeout(() => {
+        for (const target of pids) {
+          try {
+            process.kill(target, 'SIGKILL')
+          } catch {}
+        }
+      }, 5000).unref()
+    }, timeoutMs)
+  }
+
+  try {
+    const { stdout, stderr, exitCode } = await subprocess
+    return finish('success', exitCode, stdout, stderr)
+  } catch (error) {
+    if (timedOut) {
+      const message = `Tiempo agotado tras ${formatDuration(timeoutMs)}: ${cmd}`
+      return {
+        ...finish('timeout', error.exitCode, error.stdout, [error.stderr, message].filter(Boolean).join('\n')),
+        error,
+      }
+    }
+    return { ...finish('error', error.exitCode, error.stdout, error.stderr || error.message), error }
+  } finally {
+    clearTimeout(timer)
+  }
+}
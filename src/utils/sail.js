@@ -0,0 +1,97 @@
+/**
+ * Laravel Sail (--env sail): el proyecto se crea y se ejecuta en contenedores, sin PHP,
+ * Composer ni Node en el equipo; solo hace falta Docker.
+ */
+
+// Imagen que usa laravel.build para crear proyectos: PHP, Composer y Laravel Installer
+export const SAIL_IMAGE = 'laravelsail/php84-composer:latest'
+
+// Servicio de Sail de cada base de datos (sqlite no necesita ninguno; Sail no tiene SQL Server)
+const DB_SERVICES = { mysql: 'mysql', mariadb: 'mariadb', postgresql: 'pgsql' }
+
+// Servicios opcionales que se pueden añadir con --sail-services
+export const SAIL_SERVICES = ['redis', 'mailpit']
+
+// Ejecutables que Sail reenvía al contenedor de la aplicación (sail php, sail composer, ...)
+const CONTAINER_COMMANDS = ['php', 'composer', 'node', 'npm', 'npx']
+
+export const SAIL_BIN = './vendor/bin/sail'
+
+// docker compose up espera a que los servicios con healthcheck (mysql, pgsql, redis) estén sanos
+export const SAIL_UP = [SAIL_BIN, 'up', '-d', '--wait']
+
+export function supportsSail(db) {
+  return db === 'sqlite' || Object.hasOwn(DB_SERVICES, db)
+}
+
+/**
+ * Servicios para sail:install: el de la base de datos y los opcionales elegidos.
+ */
+export function sailServicesOf(db, extras = []) {
+  return [DB_SERVICES[db], ...extras].filter(Boolean)
+}
+
+/**
+ * Conexión a la base de datos desde el contenedor de la aplicación: el host es el nombre del
+ * servicio y, salvo que se indiquen, las credenciales son las de Sail.
+ */
+export function sailConnectionOf(db, { name, user, password } = {}) {
+  if (!DB_SERVICES[db]) return null
+  return {
+    host: DB_SERVICES[db],
+    port: db === 'postgresql' ? '5432' : '3306',
+    name: name || 'laravel',
+    user: user || 'sail',
+    password: password || 'password',
+  }
+}
+
+/**
+ * Valores de .env que corresponden a los servicios instalados (docker-compose.yml los lee
+ * al crear los contenedores).
+ */
+export function sailEnvOf(services) {
+  const values = {}
+  if (services.includes('redis')) values.REDIS_HOST = 'redis'
+  if (services.includes('mailpit'))
+    Object.assign(values, { MAIL_MAILER: 'smtp', MAIL_HOST: 'mailpit', MAIL_PORT: '1025' })
+  return values
+}
+
+/**
+ * Comando en un contenedor efímero de SAIL_IMAGE con dir montado como directorio de trabajo.
+ * En POSIX se ejecuta con el usuario actual para que los archivos no queden a nombre de root.
+ */
+export function dockerRun(dir, command) {
+  const user = typeof process.getuid === 'function' ? ['--user', `${process.getuid()}:${process.getgid()}`] : []
+  return [
+    'docker',
+    'run',
+    '--rm',
+    ...user,
+    '--env',
+    'COMPOSER_HOME=/tmp/composer',
+    '--volume',
+    `${dir}:/opt`,
+    '--workdir',
+    '/opt',
+    SAIL_IMAGE,
+    ...command,
+  ]
+}
+
+/**
+ * Indica si el comando debe ejecutarse dentro del contenedor de la aplicación.
+ */
+export function runsInSail(command) {
+  if (typeof command === 'string') return true
+  return CONTAINER_COMMANDS.includes(command[0])
+}
+
+/**
+ * Reescribe un comando para ejecutarlo con Sail: ['php', 'artisan', ...] pasa a
+ * ['./vendor/bin/sail', 'php', 'artisan', ...]; un string de shell se ejecuta con bash -c.
+ */
+export function viaSail(command) {
+  return typeof command === 'string' ? [SAIL_BIN, 'bash', '-c', command] : [SAIL_BIN, ...command]
+}
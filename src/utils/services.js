@@ -0,0 +1,37 @@
+import net from 'net'
+
+export async function isPortOpen(host, port, timeout = 1200) {
+  return await new Promise(resolve => {
+    const socket = new net.Socket()
+    const done = result => {
+      try {
+        socket.destroy()
+      } catch {}
+      resolve(result)
+    }
+    socket.setTimeout(timeout)
+    socket.once('connect', () => done(true))
+    socket.once('timeout', () => done(false))
+    socket.once('error', () => done(false))
+    try {
+      socket.connect(Number(port), host)
+    } catch {
+      done(false)
+    }
+  })
+}
+
+/**
+ * Bases de datos con servidor propio: nombre, DB_CONNECTION de Laravel y valores por defecto
+ * del puerto y el usuario.
+ */
+export const DB_SERVERS = {
+  mysql: { label: 'MySQL', connection: 'mysql', port: '3306', user: 'root' },
+  mariadb: { label: 'MariaDB', connection: 'mariadb', port: '3306', user: 'root' },
+  postgresql: { label: 'PostgreSQL', connection: 'pgsql', port: '5432', user: 'postgres' },
+  sqlsrv: { label: 'SQL Server', connection: 'sqlsrv', port: '1433', user: 'sa' },
+}
+
+export function isServerDatabase(db) {
+  return Object.hasOwn(DB_SERVERS, db)
+}
@@ -0,0 +1,180 @@
+import { DB_SERVERS, isServerDatabase } from './services.js'
+
+// Versión mayor de Filament que instala el paso filament (composer require filament/filament:^4.0)
+export const FILAMENT_VERSION = 4
+
+// Lo que construye el paso frontend (npm run build) con cada starter kit de Laravel 12
+const STARTER_KIT_FRONTEND = {
+  react: { node: '20.19.0', npm: '10.0.0', reason: 'Vite 7, Inertia + React' },
+  vue: { node: '20.19.0', npm: '10.0.0', reason: 'Vite 7, Inertia + Vue' },
+  livewire: { node: '20.19.0', npm: '10.0.0', reason: 'Vite 7, Livewire + Flux' },
+}
+
+/**
+ * Versiones mínimas por herramienta, con el motivo que se muestra en el informe:
+ *   Filament 4 exige PHP 8.2; los starter kits solo existen desde Laravel Installer 5.14. Node y
+ *   npm solo tienen mínimo si se ejecuta el paso frontend (steps sin indicar: todos), y es el del
+ *   starter kit; sin frontend basta con que estén (npx supabase).
+ */
+export function requirementsFor({ starterKit = 'react', steps } = {}) {
+  const requirements = {
+    php: { minimum: '8.2.0', reason: `Filament ${FILAMENT_VERSION}` },
+    composer: { minimum: '2.2.0', reason: `Filament ${FILAMENT_VERSION}` },
+    laravel: { minimum: '5.14.0', reason: `starter kit ${starterKit}` },
+  }
+  const frontend = STARTER_KIT_FRONTEND[starterKit]
+  if (frontend && (!steps || steps.includes('frontend'))) {
+    const reason = `starter kit ${starterKit}: ${frontend.reason}`
+    requirements.node = { minimum: frontend.node, reason }
+    requirements.npm = { minimum: frontend.npm, reason }
+  }
+  return requirements
+}
+
+/**
+ * Primera versión x.y[.z] que aparece en la salida de un comando (null si no hay ninguna).
+ */
+export function parseVersion(text = '') {
+  const match = String(text).match(/(\d+)\.(\d+)(?:\.(\d+))?/)
+  return match ? `${match[1]}.${match[2]}.${match[3] ?? 0}` : null
+}
+
+export function compareVersions(a, b) {
+  const pa = a.split('.').map(Number)
+  const pb = b.split('.').map(Number)
+  for (let i = 0; i < 3; i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0)
+  }
+  return 0
+}
+
+/**
+ * Herramientas que se revisan. required(options) indica si un problema con ella impide la
+ * instalación con esa configuración (missingOk: salvo que simplemente no esté); hint explica
+ * qué hacer si falta.
+ */
+const TOOLS = [
+  {
+    id: 'php',
+    name: 'PHP',
+    command: ['php', '-r', 'echo PHP_VERSION;'],
+    // con Sail, PHP, Composer y Node los aporta el contenedor
+    required: ({ env }) => env !== 'sail',
+    hint: 'Instálalo o usa Laravel Herd, que lo incluye',
+  },
+  {
+    id: 'composer',
+    name: 'Composer',
+    command: ['composer', '--version', '--no-ansi'],
+    required: ({ env }) => env !== 'sail',
+    hint: 'Instálalo o usa Laravel Herd, que lo incluye',
+  },
+  {
+    id: 'laravel',
+    name: 'Laravel Installer',
+    command: ['laravel', '--version'],
+    // si falta, el scaffold lo instala con composer global require; si es antiguo, laravel new falla
+    required: ({ env }) => env !== 'sail',
+    missingOk: true,
+    hint: 'Se instalará con composer global require laravel/installer',
+  },
+  {
+    id: 'herd',
+    name: 'Laravel Herd',
+    command: ['herd', '--version'],
+    required: ({ env }) => env === 'herd',
+    hint: 'https://herd.laravel.com (o usa --env native)',
+  },
+  {
+    id: 'node',
+    name: 'Node.js',
+    command: ['node', '--version'],
+    required: ({ env, db, steps }) => env !== 'sail' && (db === 'supabase' || !steps || steps.includes('frontend')),
+    hint: 'https://nodejs.org',
+  },
+  {
+    id: 'npm',
+    name: 'npm',
+    command: ['npm', '--version'],
+    required: ({ env, db, steps }) => env !== 'sail' && (db === 'supabase' || !steps || steps.includes('frontend')),
+    hint: 'Se instala con Node.js',
+  },
+  { id: 'git', name: 'Git', command: ['git', '--version'], required: () => true, hint: 'https://git-scm.com' },
+  {
+    id: 'docker',
+    name: 'Docker',
+    // docker info falla si el daemon no está en ejecución
+    command: ['docker', 'info', '--format', '{{.ServerVersion}}'],
+    required: ({ env, db, dbCompose }) => env === 'sail' || db === 'supabase' || Boolean(dbCompose),
+    hint: 'Docker Desktop debe estar en ejecución',
+  },
+]
+
+/**
+ * Revisa herramientas y puertos de base de datos. executor es { run, commandExists, portOpen } (ver
+ * utils/executor.js). Devuelve { ok, checks } con una entrada por comprobación:
+ *   { id, name, required, version, minimum, reason, status, message }
+ * status: 'ok' | 'missing' | 'outdated' | 'error' (instalado pero no responde) | 'warning'
+ * (un problema que no impide la instalación). ok es false si alguna comprobación no está en 'ok'
+ * ni en 'warning'.
+ */
+export async function checkToolchain(executor, { env = 'herd', starterKit, db, dbConn, dbCompose, steps } = {}) {
+  const requirements = requirementsFor({ starterKit, steps })
+  const checks = []
+
+  for (const tool of TOOLS) {
+    const required = tool.required({ env, db, dbCompose, steps })
+    const { minimum = null, reason = null } = requirements[tool.id] || {}
+    const entry = { id: tool.id, name: tool.name, required, version: null, minimum, reason }
+    const problem = status => (required ? status : 'warning')
+
+    let found = true
+    try {
+      await executor.commandExists(tool.command[0])
+    } catch {
+      found = false
+    }
+    if (!found) {
+      const status = tool.missingOk ? 'warning' : problem('missing')
+      checks.push({ ...entry, status, message: `No encontrado. ${tool.hint}` })
+      continue
+    }
+
+    const r = await executor.run(tool.command)
+    const version = parseVersion(r.stdout)
+    if (r.status !== 'success') {
+      const detail = (r.stderr || '').split('\n').find(Boolean) || 'el comando falló'
+      checks.push({ ...entry, status: problem('error'), message: `${tool.hint}: ${detail}` })
+    } else if (minimum && version && compareVersions(version, minimum) < 0) {
+      checks.push({ ...entry, version, status: problem('outdated'), message: `Se necesita ${minimum} o superior` })
+    } else {
+      checks.push({ ...entry, version, status: 'ok', message: '' })
+    }
+  }
+
+  // Puertos: el de la base elegida (o los de MySQL y PostgreSQL en local si no se eligió ninguna);
+  // con Sail la base de datos corre en su propio contenedor
+  const servers =
+    env === 'sail'
+      ? []
+      : isServerDatabase(db)
+        ? [{ db, host: dbConn?.host || '127.0.0.1', port: Number(dbConn?.port) || Number(DB_SERVERS[db].port) }]
+        : db
+          ? []
+          : ['mysql', 'postgresql'].map(name => ({ db: name, host: '127.0.0.1', port: Number(DB_SERVERS[name].port) }))
+  for (const server of servers) {
+    const listening = await executor.portOpen(server.host, server.port)
+    checks.push({
+      id: `${server.db}-port`,
+      name: `${DB_SERVERS[server.db].label} ${server.host}:${server.port}`,
+      required: false,
+      version: null,
+      minimum: null,
+      reason: null,
+      status: listening ? 'ok' : 'warning',
+      message: listening ? '' : 'No hay ningún servidor escuchando; inícialo antes de las migraciones',
+    })
+  }
+
+  return { ok: checks.every(check => check.status === 'ok' || check.status === 'warning'), checks }
+}
@@ -0,0 +1,13 @@
+import { createRequire } from 'module'
+
+const require = createRequire(import.meta.url)
+
+// Versión publicada del paquete (la de package.json)
+export const CLI_VERSION = require('../../package.json').version
+
+/**
+ * Versión del formato de los documentos de --json / --json-stream, descrito en
+ * schema/create-output.schema.json. Se sube la mayor al quitar o renombrar campos y la menor
+ * al añadirlos; es independiente de la versión del paquete.
+ */
+export const SCHEMA_VERSION = '2.7.0'
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { run } from '../src/utils/run.js'
+import { BASE_OPTIONS, callOf, runFakeCreate } from './helpers/create.js'
+
+// Comillas, expansión de variables, separador de comandos y sustitución de comandos
+const HOSTILE_NAME = `app"$(touch pwned);'\`id\``
+const HOSTILE_PASSWORD = `p"$HOME;'\`whoami\`$(rm -rf ~)`
+
+test('el nombre del proyecto y la contraseña de Filament llegan literales a laravel new y make:filament-user', t => {
+  const { code, calls } = runFakeCreate(t, {
+    ...BASE_OPTIONS,
+    projectName: HOSTILE_NAME,
+    filamentName: `Ad"min; echo`,
+    filamentPassword: HOSTILE_PASSWORD,
+  })
+  assert.equal(code, 0)
+
+  assert.deepEqual(callOf(calls, 'laravel', 'new'), [
+    'laravel',
+    'new',
+    HOSTILE_NAME,
+    '--react',
+    '--git',
+    '--pest',
+    '--no-interaction',
+  ])
+  assert.deepEqual(callOf(calls, 'php', 'artisan', 'make:filament-user'), [
+    'php',
+    'artisan',
+    'make:filament-user',
+    `--name=Ad"min; echo`,
+    '--email=admin@acme.test',
+    `--password=${HOSTILE_PASSWORD}`,
+  ])
+  // los pocos comandos con shell (operadores ||) no interpolan datos del usuario
+  for (const call of calls.filter(call => call.type === 'run' && call.shell)) {
+    assert.ok(!call.command.includes(HOSTILE_NAME) && !call.command.includes(HOSTILE_PASSWORD), call.command)
+  }
+})
+
+test('run() pasa cada argumento literal a un proceso real', async () => {
+  const args = [HOSTILE_NAME, HOSTILE_PASSWORD, '--password="x"', '$PATH', 'a b', '']
+  const r = await run([process.execPath, '-e', 'process.stdout.write(JSON.stringify(process.argv.slice(1)))', ...args])
+  assert.equal(r.status, 'success')
+  assert.deepEqual(JSON.parse(r.stdout), args)
+})
+
+test('run() rechaza un comando como string sin { shell: true }', async () => {
+  await assert.rejects(() => run('echo hola'), TypeError)
+})
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict'
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs'
+import path from 'node:path'
+import { test } from 'node:test'
+import { backendEnvOf, hasPhpExtension, migrationCreatesTable } from '../src/utils/backends.js'
+import { BASE_OPTIONS, callOf, runFakeCreate, tempHome } from './helpers/create.js'
+
+const REDIS_OPTIONS = { ...BASE_OPTIONS, cache: 'redis', queue: 'database', session: 'redis' }
+
+test('backendEnvOf: solo las variables de los backends elegidos', () => {
+  assert.deepEqual(backendEnvOf({ cache: 'redis', queue: null, session: 'file' }), {
+    CACHE_STORE: 'redis',
+    SESSION_DRIVER: 'file',
+  })
+  assert.deepEqual(backendEnvOf({ cache: null, queue: null, session: null }), {})
+})
+
+test('migrationCreatesTable: busca Schema::create de la tabla en las migraciones .php', async t => {
+  const project = tempHome(t)
+  assert.equal(await migrationCreatesTable(project, 'jobs'), false)
+
+  const migrations = path.join(project, 'database', 'migrations')
+  mkdirSync(migrations, { recursive: true })
+  writeFileSync(
+    path.join(migrations, '0001_01_01_000002_create_jobs_table.php'),
+    "<?php\nSchema::create(\n    'jobs', function (Blueprint $table) {\n",
+  )
+  writeFileSync(path.join(migrations, 'sessions.txt'), "Schema::create('sessions', fn () => null);")
+  assert.equal(await migrationCreatesTable(project, 'jobs'), true)
+  assert.equal(await migrationCreatesTable(project, 'job'), false)
+  assert.equal(await migrationCreatesTable(project, 'sessions'), false)
+})
+
+test('hasPhpExtension: una extensión por línea de php -m', () => {
+  const modules = '[PHP Modules]\r\nCore\r\nredis\r\n\r\n[Zend Modules]\r\nZend OPcache\r\n'
+  assert.equal(hasPhpExtension(modules, 'redis'), true)
+  assert.equal(hasPhpExtension(modules, 'zend opcache'), true)
+  assert.equal(hasPhpExtension('[PHP Modules]\nredislike\n', 'redis'), false)
+})
+
+test('backends: sin la extensión redis se instala Predis y se elige con REDIS_CLIENT', t => {
+  const { code, document, calls, stderr } = runFakeCreate(t, REDIS_OPTIONS, {
+    rules: [{ match: 'php -m', stdout: '[PHP Modules]\nCore\npdo_sqlite\n' }],
+  })
+  assert.equal(code, 0, stderr)
+  assert.ok(callOf(calls, 'composer', 'require', 'predis/predis'))
+  // el esqueleto falso no trae migraciones: la de jobs se genera y se migra
+  assert.ok(callOf(calls, 'php', 'artisan', 'make:queue-table'))
+  assert.equal(callOf(calls, 'php', 'artisan', 'make:session-table'), undefined)
+
+  const env = readFileSync(path.join(document.result.projectPath, '.env'), 'utf8')
+  for (const line of [
+    'CACHE_STORE=redis',
+    'QUEUE_CONNECTION=database',
+    'SESSION_DRIVER=redis',
+    'REDIS_CLIENT=predis',
+  ]) {
+    assert.ok(env.split('\n').includes(line), `falta ${line} en .env`)
+  }
+})
+
+test('backends: con phpredis no se instala Predis', t => {
+  const { code, document, calls } = runFakeCreate(t, REDIS_OPTIONS, {
+    rules: [{ match: 'php -m', stdout: '[PHP Modules]\nCore\nredis\n' }],
+  })
+  assert.equal(code, 0)
+  assert.equal(callOf(calls, 'composer', 'require', 'predis/predis'), undefined)
+  assert.equal(document.tasks.find(task => task.name === 'phpredis').status, 'success')
+  const env = readFileSync(path.join(document.result.projectPath, '.env'), 'utf8')
+  assert.ok(!env.includes('REDIS_CLIENT'))
+})
+
+test('--horizon requiere --queue redis', t => {
+  for (const queue of [undefined, 'database']) {
+    const { code, document, calls } = runFakeCreate(t, { ...BASE_OPTIONS, cache: 'redis', queue, horizon: true })
+    assert.equal(code, 2)
+    assert.equal(document.error.code, 'EINVAL')
+    assert.equal(document.error.message, '--horizon requiere --queue redis')
+    assert.deepEqual(calls, [])
+  }
+})
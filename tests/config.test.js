@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict'
+import { spawnSync } from 'node:child_process'
+import { writeFileSync } from 'node:fs'
+import path from 'node:path'
+import { test } from 'node:test'
+import { fileURLToPath } from 'node:url'
+import { checkExclusiveOptions, mergeOptions, resolvePasswordFiles, stepTimeoutsOf } from '../src/utils/config.js'
+import { BASE_OPTIONS, runFakeCreate, tempHome } from './helpers/create.js'
+
+const CLI = fileURLToPath(new URL('../index.js', import.meta.url))
+
+test('mergeOptions: bandera > entorno > configuración', () => {
+  const merged = mergeOptions(
+    { projectName: 'flag', db: 'mysql', dbName: undefined },
+    { projectName: 'cli', db: 'env', dbName: undefined },
+    { projectName: 'config', db: 'sqlite', dbName: 'config' },
+  )
+  assert.equal(merged.projectName, 'flag')
+  assert.equal(merged.db, 'mysql')
+  assert.equal(merged.dbName, 'config')
+})
+
+test('mergeOptions: en un grupo, la bandera descarta la opción que viene del entorno', () => {
+  const merged = mergeOptions(
+    { dbPassword: 'from-env', dbPasswordFile: 'secret.txt', dir: '/env', herdDir: '/flag' },
+    { dbPassword: 'env', dbPasswordFile: 'cli', dir: 'env', herdDir: 'cli' },
+  )
+  assert.equal(merged.dbPassword, undefined)
+  assert.equal(merged.dbPasswordFile, 'secret.txt')
+  assert.equal(merged.dir, undefined)
+  assert.equal(merged.herdDir, '/flag')
+  assert.doesNotThrow(() => checkExclusiveOptions(merged))
+})
+
+test('mergeOptions: el entorno descarta el otro miembro del grupo definido en la configuración', () => {
+  const merged = mergeOptions({ only: ['git'] }, { only: 'env' }, { skip: ['i18n'] })
+  assert.deepEqual(merged.only, ['git'])
+  assert.equal(merged.skip, undefined)
+})
+
+test('opciones excluyentes en la misma capa', async t => {
+  const both = mergeOptions({ skip: ['i18n'], only: ['git'] }, { skip: 'cli', only: 'cli' })
+  assert.throws(() => checkExclusiveOptions(both), /--skip y --only son excluyentes/)
+
+  const file = path.join(tempHome(t), 'password.txt')
+  writeFileSync(file, 'secret\n')
+  const passwords = mergeOptions(
+    { dbPassword: 'x', dbPasswordFile: file },
+    { dbPassword: 'env', dbPasswordFile: 'env' },
+  )
+  await assert.rejects(() => resolvePasswordFiles(passwords), /--db-password y --db-password-file son excluyentes/)
+  const resolved = await resolvePasswordFiles({ dbPasswordFile: file })
+  assert.equal(resolved.dbPassword, 'secret')
+})
+
+test('CLI: CLF_DB_PASSWORD y CLF_DIR no chocan con --db-password-file y --herd-dir', t => {
+  const home = tempHome(t)
+  const file = path.join(home, 'password.txt')
+  writeFileSync(file, 'from-file\n')
+  const r = spawnSync(
+    process.execPath,
+    [
+      CLI,
+      'create',
+      '--json',
+      '--dry-run',
+      '--non-interactive',
+      '--project-name',
+      'app',
+      '--db',
+      'mysql',
+      '--db-host',
+      '127.0.0.1',
+      '--db-port',
+      '3306',
+      '--db-name',
+      'laravel',
+      '--db-user',
+      'root',
+      '--db-password-file',
+      file,
+      '--herd-dir',
+      path.join(home, 'flag'),
+      '--filament-name',
+      'Admin',
+      '--filament-email',
+      'admin@acme.test',
+      '--filament-password',
+      'password',
+    ],
+    {
+      cwd: home,
+      env: {
+        ...process.env,
+        HOME: home,
+        CLF_EXECUTOR: 'fake',
+        CLF_DB_PASSWORD: 'from-env',
+        CLF_DIR: path.join(home, 'env'),
+      },
+      encoding: 'utf8',
+      timeout: 60000,
+    },
+  )
+  assert.equal(r.status, 0, r.stderr || r.stdout)
+  const document = JSON.parse(r.stdout)
+  assert.equal(document.status, 'planned')
+  assert.equal(document.input.dir, path.join(home, 'flag'))
+  // la contraseña del archivo es la que se enmascara en el plan
+  assert.ok(!r.stdout.includes('from-file'))
+})
+
+test('stepTimeouts: segundos >= 0 por id de paso conocido', () => {
+  const config = data => ({ file: '/tmp/.create-laravel-filament.json', data })
+  const ids = ['scaffold', 'frontend']
+  assert.deepEqual(stepTimeoutsOf(config({}), ids), {})
+  assert.deepEqual(stepTimeoutsOf(config({ stepTimeouts: { frontend: 0, scaffold: 90.5 } }), ids), {
+    frontend: 0,
+    scaffold: 90.5,
+  })
+  assert.throws(() => stepTimeoutsOf(config({ stepTimeouts: [300] }), ids), /debe ser un objeto/)
+  assert.throws(() => stepTimeoutsOf(config({ stepTimeouts: { fronted: 300 } }), ids), /paso desconocido: fronted/)
+  for (const seconds of [-1, '300', null, Infinity]) {
+    assert.throws(
+      () => stepTimeoutsOf(config({ stepTimeouts: { frontend: seconds } }), ids),
+      /"stepTimeouts.frontend" debe ser un número de segundos/,
+    )
+  }
+})
+
+test('create: un stepTimeouts inválido termina con ECONFIG antes de ejecutar nada', t => {
+  const home = tempHome(t)
+  writeFileSync(path.join(home, '.create-laravel-filament.json'), JSON.stringify({ stepTimeouts: { frontend: -5 } }))
+  const { code, document, calls } = runFakeCreate(t, BASE_OPTIONS, {}, { home })
+  assert.equal(code, 2)
+  assert.equal(document.error.code, 'ECONFIG')
+  assert.deepEqual(calls, [])
+})
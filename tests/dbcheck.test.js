@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict'
+import net from 'node:net'
+import { test } from 'node:test'
+import { setTimeout as delay } from 'node:timers/promises'
+import { checkDatabaseConnection, createDatabase } from '../src/utils/dbcheck.js'
+import { startStandin } from './helpers/db-standin.js'
+
+const AUTH_METHODS = [
+  ['mysql', { plugin: 'mysql_native_password' }],
+  ['mysql', { plugin: 'caching_sha2_password' }],
+  ['mysql', { plugin: 'caching_sha2_password', fullAuth: true }],
+  ['postgresql', { method: 'md5' }],
+  ['postgresql', { method: 'scram' }],
+]
+
+for (const [db, options] of AUTH_METHODS) {
+  const label = `${db} ${options.plugin || options.method}${options.fullAuth ? ' (autenticación completa)' : ''}`
+
+  test(`${label}: credenciales válidas`, async t => {
+    const { conn } = await startStandin(t, db, options)
+    const r = await checkDatabaseConnection(db, conn)
+    assert.equal(r.status, 'ok', r.message)
+    assert.match(r.serverVersion, /standin/)
+  })
+
+  test(`${label}: contraseña incorrecta`, async t => {
+    const { conn } = await startStandin(t, db, options)
+    const r = await checkDatabaseConnection(db, { ...conn, password: 'wrong' })
+    assert.equal(r.status, 'auth_failed', r.message)
+  })
+}
+
+for (const db of ['mysql', 'postgresql']) {
+  test(`${db}: base de datos inexistente, createDatabase la crea`, async t => {
+    const { conn, databases } = await startStandin(t, db, { databases: [] })
+    const missing = await checkDatabaseConnection(db, conn)
+    assert.equal(missing.status, 'unknown_database', missing.message)
+
+    const created = await createDatabase(db, conn)
+    assert.equal(created.status, 'ok', created.message)
+    assert.ok(databases.has('laravel'))
+    assert.equal((await checkDatabaseConnection(db, conn)).status, 'ok')
+  })
+
+  test(`${db}: el servidor exige SSL`, async t => {
+    const { conn } = await startStandin(t, db, { requireSsl: true })
+    const r = await checkDatabaseConnection(db, conn)
+    assert.equal(r.status, 'ssl_required', r.message)
+  })
+}
+
+test('nadie escucha en el puerto', async () => {
+  const server = net.createServer()
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+  await new Promise(resolve => server.close(resolve))
+  const r = await checkDatabaseConnection('mysql', { host: '127.0.0.1', port: String(port), name: 'x', user: 'x' })
+  assert.equal(r.status, 'unreachable', r.message)
+})
+
+test('tiempo agotado: el socket se cierra aunque aún no hubiera conectado', async t => {
+  // acepta la conexión y nunca responde (resume: lee hasta el cierre del cliente)
+  const sockets = new Set()
+  const server = net.createServer(socket => {
+    sockets.add(socket)
+    socket.on('close', () => sockets.delete(socket)).resume()
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => {
+    for (const socket of sockets) socket.destroy()
+    return new Promise(resolve => server.close(resolve))
+  })
+  const conn = { host: '127.0.0.1', port: String(server.address().port), name: 'x', user: 'x' }
+
+  // con 0 ms el tiempo se agota antes de completar la conexión
+  for (const timeoutMs of [0, 200]) {
+    const r = await checkDatabaseConnection('postgresql', conn, { timeoutMs })
+    assert.equal(r.status, 'timeout', r.message)
+  }
+  for (let i = 0; i < 50 && sockets.size > 0; i++) await delay(20)
+  assert.equal(sockets.size, 0, 'quedaron conexiones abiertas tras el tiempo agotado')
+})
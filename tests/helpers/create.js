@@ -0,0 +1,66 @@
+import { spawnSync } from 'child_process'
+import { mkdtempSync, readFileSync, rmSync } from 'fs'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const ENTRY = fileURLToPath(new URL('./fake-create.js', import.meta.url))
+
+// Opciones mínimas de un create no interactivo con SQLite
+export const BASE_OPTIONS = {
+  json: true,
+  nonInteractive: true,
+  env: 'native',
+  projectName: 'app',
+  starterKit: 'react',
+  db: 'sqlite',
+  filamentName: 'Admin',
+  filamentEmail: 'admin@acme.test',
+  filamentPassword: 'password',
+  retryDelay: 0,
+}
+
+/**
+ * Carpeta temporal que hace de home, de directorio de trabajo y de directorio de proyectos.
+ * Se elimina al terminar la prueba.
+ */
+export function tempHome(t) {
+  const home = mkdtempSync(path.join(os.tmpdir(), 'clf-test-'))
+  t.after(() => rmSync(home, { recursive: true, force: true }))
+  return home
+}
+
+/**
+ * Ejecuta create con el executor falso (createFakeExecutor con script) en un proceso aparte,
+ * porque runCreate termina con process.exit. Las variables CLF_* del entorno se descartan salvo
+ * las de env. Devuelve { code, stdout, stderr, lines, document, calls }: lines son las líneas
+ * JSON de stdout (--json o --json-stream) y document la última.
+ */
+export function runFakeCreate(t, options = {}, script = {}, { env = {}, home = tempHome(t) } = {}) {
+  const callsFile = path.join(home, 'calls.json')
+  const inherited = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('CLF_')))
+  const r = spawnSync(
+    process.execPath,
+    [ENTRY, JSON.stringify({ options: { dir: path.join(home, 'projects'), ...options }, script, callsFile })],
+    {
+      cwd: home,
+      env: { ...inherited, HOME: home, USERPROFILE: home, XDG_CACHE_HOME: path.join(home, '.cache'), ...env },
+      encoding: 'utf8',
+      timeout: 60000,
+    },
+  )
+  const lines = r.stdout
+    .split('\n')
+    .filter(line => line.startsWith('{'))
+    .map(line => JSON.parse(line))
+  let calls = []
+  try {
+    calls = JSON.parse(readFileSync(callsFile, 'utf8'))
+  } catch {}
+  return { code: r.status, stdout: r.stdout, stderr: r.stderr, lines, document: lines.at(-1), calls, home }
+}
+
+// argv de la primera invocación registrada cuyo comando empieza por prefix
+export function callOf(calls, ...prefix) {
+  return calls.find(call => call.type === 'run' && prefix.every((arg, i) => call.command[i] === arg))?.command
+}
@@ -0,0 +1,293 @@
+// Servidores MySQL y PostgreSQL de prueba (net.createServer en el mismo proceso) que hablan lo justo
+// del protocolo para ejercitar src/utils/dbcheck.js: autenticación, base de datos inexistente y SSL.
+import crypto from 'crypto'
+import net from 'net'
+
+const hash = (algorithm, ...parts) => {
+  const h = crypto.createHash(algorithm)
+  for (const part of parts) h.update(part)
+  return h.digest()
+}
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest()
+const xor = (a, b) => Buffer.from(a.map((x, i) => x ^ b[i % b.length]))
+const cstr = s => Buffer.from(s + '\0')
+
+// Lectura de n bytes sobre los datos que van llegando al socket
+function reader(socket) {
+  let buffer = Buffer.alloc(0)
+  let wake = null
+  let closed = false
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk])
+    wake?.()
+  })
+  socket.on('close', () => {
+    closed = true
+    wake?.()
+  })
+  socket.on('error', () => {})
+  return async n => {
+    while (buffer.length < n) {
+      if (closed) throw new Error('closed')
+      await new Promise(resolve => (wake = resolve))
+    }
+    const out = buffer.subarray(0, n)
+    buffer = buffer.subarray(n)
+    return out
+  }
+}
+
+/**
+ * MySQL 8. Opciones: user, password, databases, plugin ('mysql_native_password' o
+ * 'caching_sha2_password'), fullAuth (caching_sha2 sin caché: contraseña cifrada con RSA) y requireSsl.
+ */
+function mysqlSession(options, databases) {
+  return socket => {
+    const read = reader(socket)
+    const send = (seq, payload) => {
+      const header = Buffer.alloc(4)
+      header.writeUIntLE(payload.length, 0, 3)
+      header[3] = seq
+      socket.write(Buffer.concat([header, payload]))
+    }
+    const receive = async () => {
+      const header = await read(4)
+      return { seq: header[3], payload: await read(header.readUIntLE(0, 3)) }
+    }
+    const fail = (seq, code, state, message) => {
+      const head = Buffer.alloc(3)
+      head[0] = 0xff
+      head.writeUInt16LE(code, 1)
+      send(seq, Buffer.concat([head, Buffer.from(`#${state}${message}`)]))
+      socket.end()
+    }
+    const ok = seq => send(seq, Buffer.from([0, 0, 0, 2, 0, 0, 0]))
+
+    ;(async () => {
+      const nonce = crypto.randomBytes(20)
+      const capabilities = Buffer.alloc(4)
+      capabilities.writeUInt32LE(0x000fa7ff)
+      send(
+        0,
+        Buffer.concat([
+          Buffer.from([10]),
+          cstr('8.0.36-standin'),
+          Buffer.from([1, 0, 0, 0]),
+          nonce.subarray(0, 8),
+          Buffer.from([0]),
+          capabilities.subarray(0, 2),
+          Buffer.from([45, 2, 0]),
+          capabilities.subarray(2),
+          Buffer.from([21]),
+          Buffer.alloc(10),
+          nonce.subarray(8),
+          Buffer.from([0]),
+          cstr(options.plugin),
+        ]),
+      )
+      let { seq, payload } = await receive()
+      const flags = payload.readUInt32LE(0)
+      let pos = 32
+      const userEnd = payload.indexOf(0, pos)
+      const user = payload.toString('utf8', pos, userEnd)
+      pos = userEnd + 1
+      const auth = payload.subarray(pos + 1, pos + 1 + payload[pos])
+      pos += 1 + payload[pos]
+      let database = null
+      if (flags & 0x8) {
+        const end = payload.indexOf(0, pos)
+        database = payload.toString('utf8', pos, end)
+        pos = end + 1
+      }
+      const plugin = payload.toString('utf8', pos, payload.indexOf(0, pos))
+      if (options.requireSsl) {
+        return fail(
+          seq + 1,
+          3159,
+          'HY000',
+          'Connections using insecure transport are prohibited while --require_secure_transport=ON.',
+        )
+      }
+
+      let authenticated = false
+      if (plugin === 'mysql_native_password') {
+        const stage1 = hash('sha1', options.password)
+        const expected = options.password ? xor(stage1, hash('sha1', nonce, hash('sha1', stage1))) : Buffer.alloc(0)
+        authenticated = user === options.user && expected.equals(auth)
+      } else if (plugin === 'caching_sha2_password' && options.fullAuth) {
+        send(++seq, Buffer.from([1, 4]))
+        ;({ seq, payload } = await receive())
+        if (payload[0] !== 2) return fail(seq + 1, 1045, '28000', 'expected public key request')
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+          modulusLength: 2048,
+          publicKeyEncoding: { type: 'spki', format: 'pem' },
+          privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        })
+        send(++seq, Buffer.concat([Buffer.from([1]), Buffer.from(publicKey)]))
+        ;({ seq, payload } = await receive())
+        const plain = xor(
+          crypto.privateDecrypt({ key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING }, payload),
+          nonce,
+        )
+        authenticated = user === options.user && plain.toString() === options.password + '\0'
+      } else if (plugin === 'caching_sha2_password') {
+        const stage1 = hash('sha256', options.password)
+        const expected = xor(stage1, hash('sha256', hash('sha256', stage1), nonce))
+        authenticated = user === options.user && expected.equals(auth)
+        if (authenticated) send(++seq, Buffer.from([1, 3]))
+      }
+      if (!authenticated) {
+        return fail(seq + 1, 1045, '28000', `Access denied for user '${user}'@'localhost' (using password: YES)`)
+      }
+      if (database && !databases.has(database)) return fail(seq + 1, 1049, '42000', `Unknown database '${database}'`)
+      ok(seq + 1)
+
+      for (;;) {
+        ;({ payload } = await receive())
+        if (payload[0] === 1) return socket.end()
+        const created = payload.toString('utf8', 1).match(/^CREATE DATABASE `(.*)`$/)
+        if (payload[0] === 3 && created) {
+          databases.add(created[1].replace(/``/g, '`'))
+          ok(1)
+        } else {
+          fail(1, 1064, '42000', 'You have an error in your SQL syntax')
+        }
+      }
+    })().catch(() => socket.destroy())
+  }
+}
+
+/**
+ * PostgreSQL 17. Opciones: user, password, databases, method ('scram' o 'md5') y requireSsl
+ * (rechaza como pg_hba.conf con hostssl). Responde 'N' a SSLRequest.
+ */
+function postgresSession(options, databases) {
+  return socket => {
+    const read = reader(socket)
+    const message = (type, body) => {
+      const length = Buffer.alloc(4)
+      length.writeInt32BE(body.length + 4)
+      socket.write(Buffer.concat([Buffer.from(type), length, body]))
+    }
+    const authentication = (code, extra = Buffer.alloc(0)) => {
+      const head = Buffer.alloc(4)
+      head.writeInt32BE(code)
+      message('R', Buffer.concat([head, extra]))
+    }
+    const fail = (code, text) => {
+      message('E', Buffer.concat([cstr('SFATAL'), cstr(`C${code}`), cstr(`M${text}`), Buffer.from([0])]))
+      socket.end()
+    }
+    const receive = async () => {
+      const header = await read(5)
+      return { type: String.fromCharCode(header[0]), body: await read(header.readInt32BE(1) - 4) }
+    }
+
+    ;(async () => {
+      let body = await read((await read(4)).readInt32BE(0) - 4)
+      if (body.readInt32BE(0) === 80877103) {
+        socket.write('N')
+        body = await read((await read(4)).readInt32BE(0) - 4)
+      }
+      const parts = body.subarray(4).toString().split('\0')
+      const params = {}
+      for (let i = 0; i + 1 < parts.length; i += 2) if (parts[i]) params[parts[i]] = parts[i + 1]
+      if (options.requireSsl) {
+        return fail(
+          '28000',
+          `no pg_hba.conf entry for host "127.0.0.1", user "${params.user}", database "${params.database}", no encryption`,
+        )
+      }
+
+      let authenticated = false
+      if (options.method === 'md5') {
+        const salt = crypto.randomBytes(4)
+        authentication(5, salt)
+        const { body: response } = await receive()
+        const inner = hash('md5', options.password, params.user).toString('hex')
+        const expected = 'md5' + hash('md5', inner, salt).toString('hex')
+        authenticated = params.user === options.user && response.toString().replace(/\0$/, '') === expected
+      } else {
+        authentication(10, Buffer.concat([cstr('SCRAM-SHA-256'), Buffer.from([0])]))
+        let { body: response } = await receive()
+        const clientFirst = response.subarray(response.indexOf(0) + 5).toString()
+        const clientFirstBare = clientFirst.slice(3)
+        const nonce = clientFirstBare.match(/r=([^,]+)/)[1] + crypto.randomBytes(12).toString('base64')
+        const salt = crypto.randomBytes(16)
+        const serverFirst = `r=${nonce},s=${salt.toString('base64')},i=4096`
+        authentication(11, Buffer.from(serverFirst))
+        ;({ body: response } = await receive())
+        const clientFinal = response.toString()
+        const proofAt = clientFinal.indexOf(',p=')
+        const proof = Buffer.from(clientFinal.slice(proofAt + 3), 'base64')
+        const salted = crypto.pbkdf2Sync(options.password, salt, 4096, 32, 'sha256')
+        const authMessage = `${clientFirstBare},${serverFirst},${clientFinal.slice(0, proofAt)}`
+        const storedKey = hash('sha256', hmac(salted, 'Client Key'))
+        const clientKey = xor(proof, hmac(storedKey, authMessage))
+        authenticated = params.user === options.user && hash('sha256', clientKey).equals(storedKey)
+        if (authenticated) {
+          authentication(12, Buffer.from('v=' + hmac(hmac(salted, 'Server Key'), authMessage).toString('base64')))
+        }
+      }
+      if (!authenticated) return fail('28P01', `password authentication failed for user "${params.user}"`)
+      if (params.database !== 'postgres' && !databases.has(params.database)) {
+        return fail('3D000', `database "${params.database}" does not exist`)
+      }
+      authentication(0)
+      message('S', Buffer.concat([cstr('server_version'), cstr('17.0 (standin)')]))
+      message('Z', Buffer.from('I'))
+
+      for (;;) {
+        const { type, body: query } = await receive()
+        if (type === 'X') return socket.end()
+        const created = query
+          .toString()
+          .replace(/\0$/, '')
+          .match(/^CREATE DATABASE "(.*)"$/)
+        if (type === 'Q' && created) {
+          databases.add(created[1])
+          message('C', cstr('CREATE DATABASE'))
+        } else {
+          message('E', Buffer.concat([cstr('SERROR'), cstr('C42601'), cstr('Msyntax error'), Buffer.from([0])]))
+        }
+        message('Z', Buffer.from('I'))
+      }
+    })().catch(() => socket.destroy())
+  }
+}
+
+/**
+ * Arranca un servidor de prueba ('mysql' o 'postgresql') en un puerto libre de 127.0.0.1 y lo
+ * cierra al terminar la prueba. Devuelve { conn, databases }: conn son credenciales válidas para
+ * conectarse a 'laravel' y databases el conjunto de bases existentes (CREATE DATABASE lo amplía).
+ */
+export async function startStandin(t, db, options = {}) {
+  const settings = {
+    user: 'app',
+    password: 'secret',
+    plugin: 'mysql_native_password',
+    method: 'scram',
+    ...options,
+  }
+  const databases = new Set(settings.databases || ['laravel'])
+  const session = db === 'mysql' ? mysqlSession(settings, databases) : postgresSession(settings, databases)
+  const sockets = new Set()
+  const server = net.createServer(socket => {
+    sockets.add(socket)
+    socket.on('close', () => sockets.delete(socket))
+    session(socket)
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => {
+    for (const socket of sockets) socket.destroy()
+    return new Promise(resolve => server.close(resolve))
+  })
+  const conn = {
+    host: '127.0.0.1',
+    port: String(server.address().port),
+    name: 'laravel',
+    user: settings.user,
+    password: settings.password,
+  }
+  return { conn, databases }
+}
@@ -0,0 +1,11 @@
+// Proceso hijo de runFakeCreate (ver create.js en esta carpeta): runCreate con el executor falso.
+// runCreate termina con process.exit, así que las invocaciones se guardan al salir.
+import { writeFileSync } from 'fs'
+import { runCreate } from '../../src/commands/create.js'
+import { createFakeExecutor } from '../../src/utils/executor.js'
+
+const { options, script, callsFile } = JSON.parse(process.argv[2])
+const executor = createFakeExecutor(script)
+process.once('exit', () => writeFileSync(callsFile, JSON.stringify(executor.calls, null, 2)))
+
+await runCreate({ ...options, executor })
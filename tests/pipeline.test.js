@@ -0,0 +1,363 @@
+import assert from 'node:assert/strict'
+import { existsSync, readFileSync, writeFileSync } from 'node:fs'
+import path from 'node:path'
+import { test } from 'node:test'
+import { BASE_OPTIONS, callOf, runFakeCreate, tempHome } from './helpers/create.js'
+
+const MYSQL_OPTIONS = {
+  ...BASE_OPTIONS,
+  db: 'mysql',
+  dbHost: '127.0.0.1',
+  dbPort: '3306',
+  dbName: 'laravel',
+  dbUser: 'root',
+  dbPassword: 'secret',
+}
+
+// Nombre de los pasos en el orden en que terminaron (eventos task_finished de --json-stream)
+function finishedSteps(lines) {
+  return lines.filter(line => line.event === 'task_finished').map(line => `${line.step}:${line.status}`)
+}
+
+test('flujo completo: todos los pasos terminan y el JSON describe el proyecto', t => {
+  const { code, document, calls } = runFakeCreate(t, { ...BASE_OPTIONS, sequential: true })
+  assert.equal(code, 0)
+  assert.equal(document.status, 'success')
+  assert.equal(document.error, null)
+  assert.equal(document.result.projectPath, path.join(document.input.dir, 'app'))
+  assert.equal(document.result.url, 'http://127.0.0.1:8000')
+  assert.equal(document.metrics.concurrent, false)
+  assert.ok(document.tasks.every(task => task.status === 'success' || task.status === 'skipped'))
+  // el checkpoint se elimina tras una instalación completa
+  assert.ok(!existsSync(path.join(document.result.projectPath, '.create-laravel-filament', 'checkpoint.json')))
+
+  const ran = calls.filter(call => call.type === 'run').map(call => [call.command].flat().join(' '))
+  const order = ['laravel new app', 'php artisan migrate', 'composer require filament/filament', 'git commit -m']
+  const positions = order.map(prefix => ran.findIndex(command => command.startsWith(prefix)))
+  assert.ok(
+    positions.every(i => i !== -1),
+    `faltan comandos: ${order.filter((_, i) => positions[i] === -1)}`,
+  )
+  assert.deepEqual(
+    [...positions].sort((a, b) => a - b),
+    positions,
+  )
+})
+
+test('--json-stream: cada paso emite task_started y task_finished', t => {
+  const { code, lines } = runFakeCreate(t, { ...BASE_OPTIONS, json: false, jsonStream: true, skip: ['i18n'] })
+  assert.equal(code, 0)
+  const steps = finishedSteps(lines)
+  assert.ok(steps.includes('scaffold:success'))
+  assert.ok(steps.includes('i18n:skipped'))
+  const started = lines.filter(line => line.event === 'task_started').map(line => line.step)
+  assert.ok(!started.includes('i18n'))
+  assert.equal(lines.at(-1).event, 'run_finished')
+})
+
+test('when de un paso se evalúa después de sus prerrequisitos, también en concurrente', t => {
+  const home = tempHome(t)
+  const plugin = path.join(home, 'after-scaffold.js')
+  // projectPath queda vacío hasta que scaffold crea el proyecto
+  writeFileSync(
+    plugin,
+    `export default {
+  steps: [
+    {
+      id: 'after-scaffold',
+      title: 'Tras el scaffold',
+      dependsOn: ['scaffold'],
+      when: ctx => Boolean(ctx.projectPath),
+      commands: [{ name: 'after_scaffold', command: ['php', 'artisan', 'about'] }],
+    },
+  ],
+}
+`,
+  )
+  const { code, document } = runFakeCreate(t, { ...BASE_OPTIONS, plugin: [plugin] }, {}, { home })
+  assert.equal(code, 0)
+  assert.equal(document.metrics.concurrent, true)
+  assert.equal(document.tasks.find(task => task.name === 'after_scaffold').status, 'success')
+})
+
+test('--only añade los pasos obligatorios; --skip no puede omitirlos', t => {
+  const only = runFakeCreate(t, { ...BASE_OPTIONS, json: false, jsonStream: true, only: ['filament', 'git'] })
+  assert.equal(only.code, 0, only.stderr)
+  const ran = finishedSteps(only.lines).filter(step => !step.endsWith(':skipped'))
+  assert.deepEqual(ran.sort(), ['filament:success', 'git:success', 'prechecks:success', 'scaffold:success'])
+
+  const skip = runFakeCreate(t, { ...BASE_OPTIONS, skip: ['scaffold'] })
+  assert.equal(skip.code, 2)
+  assert.equal(skip.document.error.code, 'EINVAL')
+  assert.match(skip.document.error.message, /scaffold son obligatorios: --skip solo puede omitirlos con --resume/)
+  assert.deepEqual(skip.calls, [])
+})
+
+test('el límite de tiempo es del paso: lo que ya consumió no vuelve a estar disponible para sus comandos', t => {
+  const home = tempHome(t)
+  const plugin = path.join(home, 'slow.js')
+  writeFileSync(
+    plugin,
+    `export default {
+  steps: [
+    {
+      id: 'slow',
+      title: 'Paso lento',
+      dependsOn: ['scaffold'],
+      run: () => new Promise(resolve => setTimeout(resolve, 800)),
+      commands: [{ name: 'slow_about', command: ['php', 'artisan', 'about'] }],
+    },
+  ],
+}
+`,
+  )
+  writeFileSync(path.join(home, '.create-laravel-filament.json'), JSON.stringify({ stepTimeouts: { slow: 0.5 } }))
+  const { code, document, calls } = runFakeCreate(t, { ...BASE_OPTIONS, plugin: [plugin] }, {}, { home })
+  assert.equal(code, 7)
+  assert.equal(document.error.code, 'ETIMEOUT')
+  assert.match(document.error.message, /límite del paso \(500 ms\)/)
+  assert.equal(document.tasks.find(task => task.name === 'slow_about').status, 'timeout')
+  // el comando no llega a lanzarse: el plazo del paso ya se había agotado
+  assert.equal(callOf(calls, 'php', 'artisan', 'about'), undefined)
+})
+
+test('--env sail: un plugin entre scaffold y database es un ciclo y termina con EPLUGIN', t => {
+  const home = tempHome(t)
+  const plugin = path.join(home, 'before-database.js')
+  writeFileSync(
+    plugin,
+    `export default {
+  steps: [
+    {
+      id: 'before-database',
+      title: 'Antes de la base de datos',
+      dependsOn: ['scaffold'],
+      before: ['database'],
+      commands: [{ name: 'before_database', command: ['php', 'artisan', 'about'] }],
+    },
+  ],
+}
+`,
+  )
+  const { code, document, calls } = runFakeCreate(t, { ...MYSQL_OPTIONS, env: 'sail', plugin: [plugin] }, {}, { home })
+  assert.equal(code, 2)
+  assert.equal(document.error.code, 'EPLUGIN')
+  assert.match(document.error.message, /circulares.*before-database/)
+  assert.deepEqual(
+    calls.filter(call => call.type === 'run'),
+    [],
+  )
+})
+
+test('un comando de red que falla una vez se reintenta y el flujo termina', t => {
+  const { code, document } = runFakeCreate(t, BASE_OPTIONS, {
+    rules: [{ match: 'laravel/boost', status: 'error', stderr: 'registry down', times: 1 }],
+  })
+  assert.equal(code, 0)
+  const attempts = document.tasks.filter(task => task.name === 'composer_laravel_boost')
+  assert.deepEqual(
+    attempts.map(task => [task.attempt, task.status]),
+    [
+      [1, 'retried'],
+      [2, 'success'],
+    ],
+  )
+  assert.equal(attempts[0].stderr, 'registry down')
+})
+
+test('agotados los reintentos, el paso falla con EINSTALL y su id', t => {
+  const { code, document } = runFakeCreate(
+    t,
+    { ...BASE_OPTIONS, retries: 1 },
+    {
+      rules: [{ match: 'laravel/boost', status: 'error', stderr: 'registry down' }],
+    },
+  )
+  assert.equal(code, 5)
+  assert.equal(document.error.code, 'EINSTALL')
+  assert.equal(document.error.step, 'devtools')
+  assert.equal(document.tasks.filter(task => task.name === 'composer_laravel_boost').length, 2)
+  // los pasos que dependían de devtools no llegan a ejecutarse
+  assert.equal(
+    document.tasks.find(task => task.name === 'phpstan'),
+    undefined,
+  )
+})
+
+test('un binario ausente falla con EPREREQ en doctor sin ejecutar nada más', t => {
+  const { code, document, calls } = runFakeCreate(t, BASE_OPTIONS, { missing: ['composer'] })
+  assert.equal(code, 3)
+  assert.equal(document.error.code, 'EPREREQ')
+  assert.equal(document.error.step, 'doctor')
+  assert.equal(callOf(calls, 'laravel', 'new'), undefined)
+})
+
+test('rollback: elimina la base de datos creada y el proyecto', t => {
+  const { code, document } = runFakeCreate(
+    t,
+    { ...MYSQL_OPTIONS, dbCreate: true, rollbackOnFailure: true },
+    {
+      database: [{ action: 'check', status: 'unknown_database', message: "Unknown database 'laravel'" }],
+      // el script PDO de databaseExists responde que la base de datos existe
+      rules: [
+        { match: 'clf-db-', stdout: '1' },
+        { match: 'npm run build', status: 'error', stderr: 'vite: build failed' },
+      ],
+    },
+  )
+  assert.equal(code, 1)
+  assert.equal(document.error.step, 'frontend')
+  assert.deepEqual(
+    document.rollback.map(action => [action.name, action.status]),
+    [
+      ['drop_database', 'success'],
+      ['remove_project_dir', 'success'],
+    ],
+  )
+  assert.ok(!existsSync(path.join(document.input.dir, 'app')))
+  assert.equal(document.checkpoint, null)
+})
+
+test('sin --db-create, una base de datos inexistente falla con EDB en modo no interactivo', t => {
+  const missing = { database: [{ action: 'check', status: 'unknown_database', message: "Unknown database 'laravel'" }] }
+  const refused = runFakeCreate(t, MYSQL_OPTIONS, missing)
+  assert.equal(refused.code, 4)
+  assert.equal(refused.document.error.code, 'EDB')
+  assert.match(
+    refused.document.error.message,
+    /Unknown database 'laravel'\. Créala antes de continuar o usa --db-create/,
+  )
+  assert.equal(refused.document.input.dbCreate, false)
+  assert.ok(!refused.calls.some(call => call.type === 'database' && call.action === 'create'))
+
+  const allowed = runFakeCreate(t, { ...MYSQL_OPTIONS, dbCreate: true }, missing)
+  assert.equal(allowed.code, 0, allowed.stderr)
+  assert.equal(allowed.document.input.dbCreate, true)
+  assert.equal(allowed.document.tasks.find(task => task.name === 'database_create').status, 'success')
+})
+
+test('una comprobación no concluyente es un aviso del paso, por stderr sin Listr', t => {
+  const { stdout, stderr } = runFakeCreate(
+    t,
+    { ...MYSQL_OPTIONS, json: false },
+    {
+      database: [
+        { action: 'check', status: 'error', message: 'Método de autenticación no soportado: sha256_password' },
+      ],
+    },
+  )
+  assert.match(stdout, /Que disfrutes tu nuevo proyecto/, stderr)
+  assert.match(stderr, /\[database\] Método de autenticación no soportado: sha256_password/)
+  assert.ok(!stdout.includes('sha256_password'))
+})
+
+test('sin --rollback-on-failure, el fallo deja el proyecto y su checkpoint', t => {
+  const { code, document } = runFakeCreate(t, BASE_OPTIONS, {
+    rules: [{ match: 'npm run build', status: 'error', stderr: 'vite: build failed' }],
+  })
+  assert.equal(code, 1)
+  assert.equal(document.rollback, null)
+  assert.ok(existsSync(document.checkpoint))
+})
+
+test('--resume con Sail: si los contenedores no arrancan, falla con EPREREQ y la salida de sail up', t => {
+  const home = tempHome(t)
+  const first = runFakeCreate(
+    t,
+    { ...MYSQL_OPTIONS, env: 'sail' },
+    { rules: [{ match: 'npm run build', status: 'error', stderr: 'vite: build failed' }] },
+    { home },
+  )
+  assert.equal(first.code, 1)
+  assert.ok(existsSync(first.document.checkpoint))
+
+  const { code, document } = runFakeCreate(
+    t,
+    { ...BASE_OPTIONS, resume: path.join(first.document.input.dir, 'app') },
+    { rules: [{ match: 'sail up -d', status: 'error', stderr: 'Cannot connect to the Docker daemon' }] },
+    { home },
+  )
+  assert.equal(code, 3)
+  assert.equal(document.error.code, 'EPREREQ')
+  assert.match(document.error.message, /Cannot connect to the Docker daemon/)
+  const sailUp = document.tasks.filter(task => task.name === 'sail_up')
+  assert.deepEqual(
+    sailUp.map(task => task.status),
+    ['error'],
+  )
+})
+
+test('el checkpoint no guarda contraseñas y --resume las pide para los pasos pendientes', t => {
+  const home = tempHome(t)
+  const first = runFakeCreate(
+    t,
+    { ...MYSQL_OPTIONS, dbPassword: 'db-secret', filamentPassword: 'filament-secret' },
+    { rules: [{ match: 'php artisan migrate', status: 'error', stderr: 'SQLSTATE[HY000]' }] },
+    { home },
+  )
+  assert.equal(first.code, 4)
+  assert.equal(first.document.error.step, 'database')
+  const stored = readFileSync(first.document.checkpoint, 'utf8')
+  assert.ok(!stored.includes('db-secret') && !stored.includes('filament-secret'), stored)
+  assert.deepEqual(JSON.parse(stored).redacted, ['dbPassword', 'filamentPassword'])
+
+  const { filamentPassword, ...withoutFilament } = { ...BASE_OPTIONS, resume: first.document.checkpoint }
+  const missing = runFakeCreate(t, { ...withoutFilament, dbPassword: 'db-secret' }, {}, { home })
+  assert.equal(missing.code, 2)
+  assert.equal(missing.document.error.code, 'EINVAL')
+  assert.match(missing.document.error.message, /--filament-password/)
+
+  const resumed = runFakeCreate(
+    t,
+    { ...withoutFilament, dbPassword: 'db-secret', filamentPassword: 'filament-again' },
+    {},
+    { home },
+  )
+  assert.equal(resumed.code, 0)
+  assert.ok(callOf(resumed.calls, 'php', 'artisan', 'make:filament-user').includes('--password=filament-again'))
+})
+
+test('--resume tras un fallo dentro de scaffold: continúa en la carpeta de proyectos', t => {
+  const home = tempHome(t)
+  const projects = path.join(home, 'projects')
+  const sail = { ...MYSQL_OPTIONS, env: 'sail', dir: projects }
+  const failGitInit = { rules: [{ match: 'git init', status: 'error', stderr: 'git: not a repository' }] }
+  const first = runFakeCreate(t, sail, failGitInit, { home })
+  assert.equal(first.code, 1)
+  assert.equal(first.document.error.step, 'scaffold')
+  const resume = { ...BASE_OPTIONS, resume: first.document.checkpoint, dbPassword: 'password' }
+
+  // laravel new no llegó a completar el proyecto: se repite en la carpeta de proyectos, no en el cwd
+  const again = runFakeCreate(t, resume, {}, { home })
+  assert.equal(again.code, 0)
+  const laravelNew = again.calls.find(call => call.type === 'run' && call.command.includes('laravel'))
+  assert.equal(laravelNew.cwd, projects)
+  assert.ok(laravelNew.command.includes(`${projects}:/opt`))
+  assert.equal(callOf(again.calls, 'git', 'init').length, 3)
+  assert.equal(
+    again.calls.find(call => call.type === 'run' && call.command[0] === 'git').cwd,
+    path.join(projects, 'app'),
+  )
+
+  // con el proyecto ya creado (artisan existe), laravel new no se repite
+  const other = tempHome(t)
+  const failed = runFakeCreate(t, { ...sail, dir: path.join(other, 'projects') }, failGitInit, { home: other })
+  writeFileSync(path.join(other, 'projects', 'app', 'artisan'), '')
+  const resumed = runFakeCreate(t, { ...resume, resume: failed.document.checkpoint }, {}, { home: other })
+  assert.equal(resumed.code, 0)
+  assert.ok(!resumed.calls.some(call => call.type === 'run' && call.command.includes('laravel')))
+  assert.equal(resumed.document.tasks.find(task => task.name === 'laravel_new').status, 'skipped')
+})
+
+test('el puerto de la base de datos se comprueba con el executor (sin conexiones reales)', t => {
+  const closed = runFakeCreate(t, MYSQL_OPTIONS)
+  assert.equal(closed.code, 0)
+  assert.deepEqual(
+    closed.calls.filter(call => call.type === 'port'),
+    [{ type: 'port', host: '127.0.0.1', port: 3306 }],
+  )
+  assert.equal(closed.document.tasks.find(task => task.name === 'doctor_mysql-port').status, 'warning')
+
+  const open = runFakeCreate(t, MYSQL_OPTIONS, { openPorts: ['127.0.0.1:3306'] })
+  assert.equal(open.document.tasks.find(task => task.name === 'doctor_mysql-port').status, 'success')
+})
@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict'
+import { spawnSync } from 'node:child_process'
+import { test } from 'node:test'
+import { setTimeout as delay } from 'node:timers/promises'
+import { formatDuration, run } from '../src/utils/run.js'
+
+// Un zombi (terminado, pendiente de que su nuevo padre lo recoja) cuenta como terminado
+const alive = pid => {
+  const { stdout } = spawnSync('ps', ['-o', 'stat=', '-p', String(pid)], { encoding: 'utf8' })
+  return stdout.trim() !== '' && !stdout.trim().startsWith('Z')
+}
+
+test('formatDuration: milisegundos por debajo de 1 s, segundos con un decimal', () => {
+  assert.equal(formatDuration(500), '500 ms')
+  assert.equal(formatDuration(999.6), '1 s')
+  assert.equal(formatDuration(1500), '1,5 s')
+  assert.equal(formatDuration(900000), '900 s')
+})
+
+test('run: al agotarse el tiempo termina la shell y los procesos que lanzó en segundo plano', async t => {
+  const pids = []
+  const r = await run('sleep 30 & echo $!; wait', {
+    shell: true,
+    timeoutMs: 500,
+    onOutput: line => pids.push(Number(line)),
+  })
+  t.after(() => pids.filter(alive).forEach(pid => process.kill(pid, 'SIGKILL')))
+
+  assert.equal(r.status, 'timeout')
+  assert.match(r.stderr, /Tiempo agotado tras 500 ms/)
+  assert.equal(pids.length, 1)
+  for (let i = 0; i < 50 && alive(pids[0]); i++) await delay(20)
+  assert.equal(alive(pids[0]), false, 'el sleep en segundo plano sobrevivió al tiempo agotado')
+})
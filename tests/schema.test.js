@@ -0,0 +1,74 @@
+import Ajv2020 from 'ajv/dist/2020.js'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { test } from 'node:test'
+import { SCHEMA_VERSION } from '../src/utils/version.js'
+import { BASE_OPTIONS, runFakeCreate } from './helpers/create.js'
+
+const schema = JSON.parse(readFileSync(new URL('../schema/create-output.schema.json', import.meta.url), 'utf8'))
+const ajv = new Ajv2020({ allErrors: true, allowUnionTypes: true })
+const validateDocument = ajv.compile(schema)
+const validateTask = ajv.getSchema(`${schema.$id}#/$defs/task`)
+
+function assertValid(validate, value) {
+  assert.ok(validate(value), ajv.errorsText(validate.errors, { separator: '\n' }))
+}
+
+test('documento de éxito', t => {
+  const { code, document } = runFakeCreate(t, BASE_OPTIONS)
+  assert.equal(code, 0)
+  assert.equal(document.status, 'success')
+  assert.equal(document.schemaVersion, SCHEMA_VERSION)
+  assertValid(validateDocument, document)
+})
+
+const BUILD_FAILS = { rules: [{ match: 'npm run build', status: 'error', stderr: 'vite: build failed' }] }
+
+test('documento de fallo de un paso, con checkpoint', t => {
+  const { code, document } = runFakeCreate(t, BASE_OPTIONS, BUILD_FAILS)
+  assert.equal(code, 1)
+  assert.equal(document.status, 'error')
+  assert.equal(document.error.step, 'frontend')
+  assert.match(document.checkpoint, /checkpoint\.json$/)
+  assertValid(validateDocument, document)
+})
+
+test('documento de fallo de un paso con rollback', t => {
+  const { code, document } = runFakeCreate(t, { ...BASE_OPTIONS, rollbackOnFailure: true }, BUILD_FAILS)
+  assert.equal(code, 1)
+  assert.ok(document.rollback.some(action => action.name === 'remove_project_dir' && action.status === 'success'))
+  assert.equal(document.checkpoint, null)
+  assertValid(validateDocument, document)
+})
+
+test('documento de error de validación de entrada', t => {
+  const { code, document } = runFakeCreate(t, { ...BASE_OPTIONS, db: 'mysql' })
+  assert.equal(code, 2)
+  assert.equal(document.error.code, 'EINVAL')
+  assert.deepEqual(document.tasks, [])
+  assertValid(validateDocument, document)
+})
+
+test('documento del dry-run', t => {
+  const { code, document, calls } = runFakeCreate(t, { ...BASE_OPTIONS, dryRun: true })
+  assert.equal(code, 0)
+  assert.equal(document.status, 'planned')
+  assert.ok(document.plan.length > 0)
+  assert.deepEqual(
+    calls.filter(call => call.type === 'run'),
+    [],
+  )
+  assertValid(validateDocument, document)
+})
+
+test('eventos de --json-stream: el último es el documento y los de comandos tienen la forma de tasks', t => {
+  const { code, lines } = runFakeCreate(t, { ...BASE_OPTIONS, json: false, jsonStream: true })
+  assert.equal(code, 0)
+  assert.equal(lines[0].event, 'run_started')
+  const finished = lines.at(-1)
+  assert.equal(finished.event, 'run_finished')
+  assertValid(validateDocument, finished)
+  for (const line of lines.filter(line => line.event === 'command_finished' || line.event === 'task_event')) {
+    assertValid(validateTask, line)
+  }
+})
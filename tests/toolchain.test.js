@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { createFakeExecutor } from '../src/utils/executor.js'
+import { checkToolchain, FILAMENT_VERSION, requirementsFor } from '../src/utils/toolchain.js'
+
+test('versiones mínimas: Filament para PHP y Composer, el starter kit para Node y npm', async () => {
+  const executor = createFakeExecutor({
+    rules: [
+      { match: 'php -r', stdout: '8.1.27' },
+      { match: 'composer --version', stdout: 'Composer version 2.8.4 2024-12-11' },
+      { match: 'laravel --version', stdout: 'Laravel Installer 5.11.2' },
+      { match: 'node --version', stdout: 'v20.11.0' },
+      { match: 'npm --version', stdout: '10.9.0' },
+    ],
+  })
+  const { ok, checks } = await checkToolchain(executor, { env: 'native', starterKit: 'vue' })
+  const byId = Object.fromEntries(checks.map(check => [check.id, check]))
+  assert.equal(ok, false)
+  assert.deepEqual(
+    [byId.php.status, byId.php.minimum, byId.php.reason],
+    ['outdated', '8.2.0', `Filament ${FILAMENT_VERSION}`],
+  )
+  assert.equal(byId.composer.status, 'ok')
+  assert.equal(byId.laravel.status, 'outdated')
+  assert.deepEqual(
+    [byId.node.status, byId.node.minimum, byId.node.reason],
+    ['outdated', '20.19.0', 'starter kit vue: Vite 7, Inertia + Vue'],
+  )
+  assert.equal(byId.npm.status, 'ok')
+})
+
+test('sin el paso frontend, Node y npm no tienen versión mínima', async () => {
+  assert.match(requirementsFor({ starterKit: 'livewire' }).node.reason, /starter kit livewire: .*Livewire/)
+  const requirements = requirementsFor({ starterKit: 'react', steps: ['scaffold', 'database', 'filament'] })
+  assert.equal(requirements.node, undefined)
+  assert.equal(requirements.npm, undefined)
+
+  const executor = createFakeExecutor({ rules: [{ match: 'node --version', stdout: 'v16.20.0' }] })
+  const { checks } = await checkToolchain(executor, { env: 'native', db: 'supabase', steps: ['scaffold', 'database'] })
+  const node = checks.find(check => check.id === 'node')
+  assert.deepEqual([node.required, node.minimum, node.status], [true, null, 'ok'])
+})